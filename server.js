@@ -5,27 +5,77 @@ import { Server as IOServer } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
 import cron from 'node-cron';
-import { fetchAffiliate, fetchAffiliateRaw } from './src/affiliates.js';
+import { fetchAffiliate, listProviders, providerHealth, setProviderFaults } from './src/affiliates.js';
+import { toCsv } from './src/util.js';
+import {
+  DEFAULT_SLUG, getContest, defaultContest, listContests, addContest, removeContest,
+  contestWindow, isEnded, isValidSlug, publicContest, serializeContests, loadContests
+} from './src/contests.js';
+import { openStorage, DATA_DIR } from './src/storage/index.js';
+import { normalizeRecurrence, periodAt, assignPrizes, createArchive } from './src/lifecycle.js';
+import { createPayouts, publicPayout, PAYOUT_CSV_COLUMNS } from './src/payouts.js';
+import { parsePrizeTable, prizeView } from './src/prizes.js';
+import { createAuth, hasRole, safeEqual } from './src/auth.js';
+import { createAuditLog } from './src/audit.js';
+import { createHistory } from './src/history.js';
+import { withMovement, snapshotBoard, playerTimeline, publicRow } from './src/players.js';
+import { createRealtime } from './src/realtime.js';
+import { anomalyConfig, detectAnomalies, createQuarantine } from './src/anomalies.js';
+import { createOverrides, isReservedId } from './src/overrides.js';
+import { parseColumns, renderExport, BOARD_COLUMNS, ID_COLUMNS } from './src/exports.js';
+import { createSteamProfiles } from './src/steam.js';
+import { createWebhooks } from './src/webhooks.js';
+import { createMedia, MEDIA_EXTENSIONS } from './src/media.js';
+import { validateHero, createHeroLibrary } from './src/hero.js';
+import { createAnnouncements } from './src/announcements.js';
+import { formatMetrics } from './src/metrics.js';
+import { normalizeScoring, scoreOf, rankBoard, stampChanges, scoringMetrics } from './src/scoring.js';
+import { normalizeEligibility, checkEligibility } from './src/eligibility.js';
+import { createReplay } from './src/replay.js';
+import { widgetOptions, renderCard, renderOverlay } from './src/widgets.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 
 const app = express();
 
 // ---------- FS setup ----------
 const UPLOAD_DIR = path.resolve('uploads');
+const MEDIA_DIR = path.join(UPLOAD_DIR, 'media');
+const UPLOAD_TMP = path.join(UPLOAD_DIR, 'tmp');
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 5 * 1024 * 1024);
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
+// only images are served from /uploads; media names are content hashes, so cache them forever
+const IMAGE_PATH = new RegExp(`\\.(${MEDIA_EXTENSIONS.join('|')})$`, 'i');
+app.use('/uploads', (req, res, next) => (IMAGE_PATH.test(req.path) && !req.path.startsWith('/tmp/') ? next() : res.status(404).end()));
+app.use('/uploads/media', express.static(MEDIA_DIR, { immutable: true, maxAge: '365d', fallthrough: false }));
 app.use('/uploads', express.static(UPLOAD_DIR));
-const upload = multer({ dest: path.join(UPLOAD_DIR, 'tmp') });
-const SETTINGS_PATH = path.join(UPLOAD_DIR, 'settings.json');
+const upload = multer({ dest: UPLOAD_TMP, limits: { fileSize: MEDIA_MAX_BYTES, files: 1 } });
+
+// Single image upload from the 'image' (or 'file') field, with multer errors as JSON.
+function uploadImage(req, res, next) {
+  upload.fields([{ name: 'image', maxCount: 1 }, { name: 'file', maxCount: 1 }])(req, res, (err) => {
+    if (err) {
+      const tooBig = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooBig ? 413 : 400).json({ error: tooBig ? `file larger than ${MEDIA_MAX_BYTES} bytes` : err.message });
+    }
+    req.file = req.files?.image?.[0] || req.files?.file?.[0];
+    if (!req.file) return res.status(400).json({ error: 'no file' });
+    next();
+  });
+}
+
+// ---------- Storage ----------
+const store = await openStorage({ legacyDir: UPLOAD_DIR });
+const media = createMedia({ store, dir: MEDIA_DIR, tmpDir: UPLOAD_TMP });
+media.cleanTmp();
+cron.schedule('*/30 * * * *', () => media.cleanTmp());
 
 function saveSettings() {
   try {
-    const data = { hero, countdownEnd };
-    const tmp = SETTINGS_PATH + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(data), 'utf8');
-    fs.renameSync(tmp, SETTINGS_PATH);
+    store.set('settings', { contests: serializeContests() });
   } catch (e) {
     console.warn('[settings] save failed:', e?.message || e);
   }
@@ -33,18 +83,11 @@ function saveSettings() {
 
 function loadSettings() {
   try {
-    if (!fs.existsSync(SETTINGS_PATH)) return;
-    const raw = fs.readFileSync(SETTINGS_PATH, 'utf8');
-    const parsed = JSON.parse(raw || '{}');
-    if (parsed && typeof parsed === 'object') {
-      if (parsed.countdownEnd) countdownEnd = parsed.countdownEnd;
-      if (parsed.hero && typeof parsed.hero === 'object') {
-        hero = { ...hero, ...parsed.hero }; // merge, keep fields you added later
-      }
-    }
-    console.log('[settings] loaded from disk');
+    loadContests(store.get('settings')?.contests);
+    console.log('[settings] loaded from storage');
   } catch (e) {
     console.warn('[settings] load failed:', e?.message || e);
+    loadContests();
   }
 }
 loadSettings();
@@ -58,37 +101,12 @@ const io = new IOServer(server, { cors: { origin: FRONTEND_ORIGIN === '*' ? true
 const PORT = process.env.PORT || 8080;
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 const INTERVAL_CRON = process.env.AFFILIATE_CRON || '*/30 * * * *'; // default: every 30 min
+const LIFECYCLE_CRON = process.env.LIFECYCLE_CRON || '* * * * *';   // how often ended contests are finalized
 
 // ---------- State ----------
 let leaderboard = [];
 let updatedAt = null;
-
-// date-windowed leaderboard controls
-let contestStart = null; // ISO string or null
-let contestEnd   = null; // ISO string or null
-
-// cache + history paths
-const CACHE_PATH = path.join(UPLOAD_DIR, 'leaderboard.json');
-const HIST_PATH  = path.join(UPLOAD_DIR, 'leaderboard-history.ndjson');
-
-// misc content
-let prizes = [175, 100, 70, 50, 35, 25, 15, 10, 10, 10];
-let countdownEnd = process.env.COUNTDOWN_END ? new Date(process.env.COUNTDOWN_END).toISOString() : null;
-let announcement = process.env.ANNOUNCEMENT || '';
-let hero = {
-  headline: '$ 500 CSGOWIN WAGER LEADERBOARD',
-  sub1: 'Leaderboard ended, to claim the prize open the ticket on discord',
-  sub2: 'The leaderboard updates every 30 minutes.',
-  linkText: process.env.HERO_LINK_TEXT || '',
-  linkUrl: process.env.HERO_LINK_URL || '',
-  headlineColor: '#ffffff',
-  sub1Color: '#cbd5e1',
-  sub2Color: '#cbd5e1',
-  headlineGlow: '0 0 12px rgba(255,255,255,0.8)',
-  imageUrl: process.env.HERO_IMAGE_URL ||'',
-  imageGlow: 'drop-shadow(0 0 16px rgba(251, 255, 0, 0.65))',
-  coinImageUrl: undefined, // NEW
-};
+let partial = false; // last refresh only got some of the provider's pages
 
 // ---------- Middlewares ----------
 app.use(express.json());
@@ -107,22 +125,18 @@ function isSane(list) {
 
 function saveCache() {
   try {
-    const tmp = CACHE_PATH + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify({ updatedAt, data: leaderboard }), 'utf8');
-    fs.renameSync(tmp, CACHE_PATH);
+    store.set('leaderboard', { updatedAt, data: leaderboard });
   } catch (e) {
     console.warn('[cache] save failed:', e?.message || e);
   }
 }
 function loadCacheIfAny() {
   try {
-    if (!fs.existsSync(CACHE_PATH)) return;
-    const raw = fs.readFileSync(CACHE_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
+    const parsed = store.get('leaderboard');
     if (Array.isArray(parsed?.data)) {
       leaderboard = parsed.data;
       updatedAt = parsed.updatedAt || new Date().toISOString();
-      console.log(`[cache] loaded ${leaderboard.length} records from disk`);
+      console.log(`[cache] loaded ${leaderboard.length} records from storage`);
     }
   } catch (e) {
     console.warn('[cache] load failed:', e?.message || e);
@@ -130,123 +144,692 @@ function loadCacheIfAny() {
 }
 loadCacheIfAny();
 
-function appendHistorySnapshot(list) {
+// ---------- History ----------
+const history = createHistory({
+  dir: path.join(DATA_DIR, 'history'),
+  legacyFile: path.join(DATA_DIR, 'leaderboard-history.ndjson'),
+  retentionDays: Number(process.env.HISTORY_RETENTION_DAYS || 30),
+  downsampleMs: Number(process.env.HISTORY_DOWNSAMPLE_MS || 6 * 60 * 60 * 1000),
+  cacheSegments: Number(process.env.HISTORY_CACHE_SEGMENTS || 0),
+});
+
+// windowed results per (start,end), valid until the next snapshot lands
+const windowCache = new Map();
+const WINDOW_CACHE_MAX = 100;
+
+function compactHistory() {
+  let n = 0;
+  try { n = history.compact(); } catch (e) { console.warn('[history] compaction failed:', e?.message || e); }
+  if (n) windowCache.clear();
+  return n;
+}
+cron.schedule(process.env.HISTORY_COMPACT_CRON || '17 3 * * *', compactHistory);
+
+// first snapshot each player id appeared in (ms), the referral date fallback for eligibility
+let firstSeen = store.get('firstSeen', null);
+if (!firstSeen) {
+  try { firstSeen = history.firstSeen(); } catch (e) { console.warn('[history] first-seen scan failed:', e?.message || e); }
+  store.set('firstSeen', firstSeen || (firstSeen = {}));
+}
+
+function appendHistorySnapshot(list, ts) {
   try {
-    const row = {
-      ts: Date.now(),
-      p: Object.fromEntries((list || []).map(u => [String(u.id), Number(u.points || 0)]))
-    };
-    fs.appendFileSync(HIST_PATH, JSON.stringify(row) + '\n', 'utf8');
+    history.append(list, ts);
   } catch (e) {
     console.warn('[history] append failed:', e?.message || e);
   }
+  windowCache.clear();
+  const fresh = (list || []).filter(u => !(String(u.id) in firstSeen));
+  if (fresh.length) {
+    for (const u of fresh) firstSeen[String(u.id)] = ts;
+    store.set('firstSeen', firstSeen);
+  }
 }
 
-function readHistory() {
-  const out = [];
-  try {
-    if (!fs.existsSync(HIST_PATH)) return out;
-    const lines = fs.readFileSync(HIST_PATH, 'utf8').split('\n').filter(Boolean);
-    for (const line of lines) { try { out.push(JSON.parse(line)); } catch {} }
-  } catch {}
-  return out.sort((a, b) => a.ts - b.ts);
-}
-
-// windowed points = max(points) in [start,end] - last points before start
-function computeWindowed(startMs, endMs) {
-  const hist = readHistory();
-  if (!hist.length) return [];
-
-  const before = new Map();       
-  const firstIn = new Map();      
-  const maxIn   = new Map();      
-  for (const snap of hist) {
-    const t = snap.ts;
-    const P = snap.p || {};
-    if (t < startMs) {
-      // track last value before start
-      for (const [id, pts] of Object.entries(P)) before.set(id, pts);
-    } else if (t <= endMs) {
-      // inside window
-      for (const [id, pts] of Object.entries(P)) {
-        if (!firstIn.has(id)) firstIn.set(id, pts);          // first seen at/after start
-        const cur = maxIn.get(id);
-        if (cur == null || pts > cur) maxIn.set(id, pts);    // peak in window
-      }
+// Windowed board for [start,end]:
+//   points   = max(points) in the window - points in the last snapshot before start
+//              (or the first value inside when the player is new)
+//   metrics  = last value in the window - the same baseline; not the peak, since
+//              some metrics (profit) go down
+//   reachedAt = first snapshot where the player's score (under `scoring`) got to its final value
+function computeWindowed(startMs, endMs, scoring = null) {
+  const key = `${startMs}:${endMs}:${scoring ? JSON.stringify(scoring) : ''}`;
+  if (windowCache.has(key)) return windowCache.get(key);
+
+  const { baseline: base, snaps } = history.range(startMs, endMs);
+  const before  = new Map(Object.entries(base?.p || {}));
+  const beforeM = base?.m || {};
+  const firstIn = new Map();
+  const firstM  = new Map();
+  const maxIn   = new Map();
+  const lastM   = new Map();
+  for (const snap of snaps) {
+    for (const [id, pts] of Object.entries(snap.p || {})) {
+      if (!firstIn.has(id)) firstIn.set(id, pts);          // first seen at/after start
+      const cur = maxIn.get(id);
+      if (cur == null || pts > cur) maxIn.set(id, pts);    // peak in window
+    }
+    for (const [id, m] of Object.entries(snap.m || {})) {
+      if (!firstM.has(id)) firstM.set(id, m);
+      lastM.set(id, m);
     }
   }
 
-  const results = [];
-  const ids = new Set([...before.keys(), ...firstIn.keys(), ...maxIn.keys()]);
-  for (const id of ids) {
-    const baseline = before.has(id) ? before.get(id) : (firstIn.get(id) ?? 0);
-    const peak = maxIn.get(id);
-    if (peak == null) continue; // never seen inside window
-    const gain = Math.max(0, peak - baseline);
-    if (gain > 0) {
-      const cur = (leaderboard || []).find(u => String(u.id) === id);
-      results.push({
+  const baseOf = id => (before.has(id) ? before.get(id) : (firstIn.get(id) ?? 0));
+  const metricGains = (id, m) => {
+    const out = {};
+    for (const [k, v] of Object.entries(m || {})) out[k] = v - (beforeM[id]?.[k] ?? firstM.get(id)?.[k] ?? 0);
+    return out;
+  };
+
+  const byId = new Map((leaderboard || []).map(u => [String(u.id), u]));
+  const rows = new Map();
+  for (const [id, peak] of maxIn) {
+    const gain = Math.max(0, peak - baseOf(id));
+    const metrics = metricGains(id, lastM.get(id));
+    if (gain > 0 || Object.values(metrics).some(v => v > 0)) {
+      const cur = byId.get(id);
+      rows.set(id, {
         id,
         name: cur?.name ?? 'Player',
         avatar: cur?.avatar ?? null,
-        points: gain
+        points: gain,
+        metrics,
+        reachedAt: null,
       });
     }
   }
 
+  const final = new Map([...rows].map(([id, r]) => [id, scoreOf(r, scoring)]));
+  for (const snap of snaps) {
+    for (const [id, pts] of Object.entries(snap.p || {})) {
+      const r = rows.get(id);
+      if (!r || r.reachedAt) continue;
+      const now = { points: pts - baseOf(id), metrics: scoring?.weights ? metricGains(id, snap.m?.[id]) : null };
+      if (scoreOf(now, scoring) >= final.get(id)) r.reachedAt = new Date(snap.ts).toISOString();
+    }
+  }
+
+  // weighted contests rank the rest through rankBoard(); plain boards only show gains
+  const results = [...rows.values()].filter(r => scoring?.weights || r.points > 0);
   results.sort((a,b) => b.points - a.points);
+  if (windowCache.size >= WINDOW_CACHE_MAX) windowCache.delete(windowCache.keys().next().value);
+  windowCache.set(key, results);
   return results;
 }
 
+// computeWindowed() from the window's start one snapshot at a time, for boards at
+// many points of the same window (player timelines) in a single pass. reachedAt is
+// when the score first got to its running high (only tracked for the 'earliest'
+// tie-break); that is computeWindowed()'s value unless the score dipped since.
+function windowPass(baseline, scoring = null) {
+  const before  = new Map(Object.entries(baseline?.p || {}));
+  const beforeM = baseline?.m || {};
+  const firstIn = new Map();
+  const firstM  = new Map();
+  const maxIn   = new Map();
+  const lastM   = new Map();
+  const best    = new Map();
+  const earliest = Boolean(scoring?.tieBreak?.includes('earliest'));
+  const byId = new Map((leaderboard || []).map(u => [String(u.id), u]));
+
+  const baseOf = id => (before.has(id) ? before.get(id) : (firstIn.get(id) ?? 0));
+  const metricGains = (id, m) => {
+    const out = {};
+    for (const [k, v] of Object.entries(m || {})) out[k] = v - (beforeM[id]?.[k] ?? firstM.get(id)?.[k] ?? 0);
+    return out;
+  };
+
+  return {
+    add(snap) {
+      for (const [id, m] of Object.entries(snap.m || {})) {
+        if (!firstM.has(id)) firstM.set(id, m);
+        lastM.set(id, m);
+      }
+      for (const [id, pts] of Object.entries(snap.p || {})) {
+        if (!firstIn.has(id)) firstIn.set(id, pts);
+        const cur = maxIn.get(id);
+        if (cur == null || pts > cur) maxIn.set(id, pts);
+        if (!earliest) continue;
+        const score = scoreOf({ points: pts - baseOf(id), metrics: scoring.weights ? metricGains(id, snap.m?.[id]) : null }, scoring);
+        if (!(best.get(id)?.score >= score)) best.set(id, { score, at: snap.ts });
+      }
+    },
+
+    rows() {
+      const out = [];
+      for (const [id, peak] of maxIn) {
+        const gain = Math.max(0, peak - baseOf(id));
+        const metrics = metricGains(id, lastM.get(id));
+        if (!(gain > 0 || Object.values(metrics).some(v => v > 0))) continue;
+        if (!scoring?.weights && !(gain > 0)) continue;
+        const cur = byId.get(id);
+        const row = { id, name: cur?.name ?? 'Player', avatar: cur?.avatar ?? null, points: gain, metrics, reachedAt: null };
+        const b = best.get(id);
+        if (b && b.score >= scoreOf(row, scoring)) row.reachedAt = new Date(b.at).toISOString();
+        out.push(row);
+      }
+      return out.sort((a, b) => b.points - a.points);
+    },
+  };
+}
+
+
+// ---------- Contests ----------
+const overrides = createOverrides(store);
+
+let playerIndex = { list: null, map: new Map() };
+function findPlayer(id) {
+  if (playerIndex.list !== leaderboard) playerIndex = { list: leaderboard, map: new Map(leaderboard.map(u => [String(u.id), u])) };
+  return playerIndex.map.get(String(id)) || null;
+}
+
+// Board straight from the data: frozen standings, or the contest window / lifetime
+// totals ranked by the contest's scoring.
+function rawBoard(c) {
+  if (c.frozen) return c.frozen.data;
+  const w = contestWindow(c);
+  return rankBoard(w ? computeWindowed(w.start, w.end, c.scoring) : leaderboard, c.scoring);
+}
+
+// Eligibility rules checked against a board: { board, excluded }, see eligibility.js.
+function eligibility(c, board) {
+  return checkEligibility(board, c.eligibility, {
+    start: c.start,
+    player: findPlayer,
+    firstSeen: id => firstSeen[id] ?? null,
+  });
+}
+
+// What everyone else sees: rawBoard with admin overrides applied and eligibility checked.
+function contestBoard(c) {
+  return eligibility(c, overrides.apply(rawBoard(c), { contest: c.slug || null, lookup: findPlayer })).board;
+}
+
+// A board from the data ranked, overridden and checked like contestBoard().
+function servedBoard(c, board) {
+  return eligibility(c, overrides.apply(rankBoard(board, c.scoring), { contest: c.slug || null, lookup: findPlayer })).board;
+}
+
+// contestBoard() as it stood at a history snapshot (empty before the window opens).
+function boardAt(c, snap) {
+  const w = contestWindow(c);
+  let board = [];
+  if (snap && w) board = snap.ts >= w.start ? computeWindowed(w.start, Math.min(w.end, snap.ts), c.scoring) : [];
+  else if (snap) board = snapshotBoard(snap.p, null, snap.m);
+  return servedBoard(c, board);
+}
+
+// Board as served to clients: rank, previousRank and pointsDelta against the
+// previous history snapshot. Frozen boards don't move.
+const viewCache = new Map();
+function contestView(c) {
+  const key = `${updatedAt}|${c.start}|${c.end}|${c.frozen?.at ?? ''}|${overrides.version}|${JSON.stringify(c.scoring)}|${JSON.stringify(c.eligibility)}`;
+  const hit = viewCache.get(c.slug);
+  if (hit?.key === key) return hit.data;
+
+  const board = contestBoard(c);
+  let prev = board;
+  if (!c.frozen) {
+    const last = history.latest();
+    prev = boardAt(c, last && history.latest(last.ts - 1));
+  }
+  const data = withMovement(board, prev);
+  viewCache.set(c.slug, { key, data });
+  return data;
+}
+
+// contestView() without internal fields, for the public routes, sockets and webhooks.
+// Only the metrics the contest's scoring uses are shown.
+const publicCache = new WeakMap();
+function publicView(c) {
+  const view = contestView(c);
+  let rows = publicCache.get(view);
+  if (!rows) {
+    const metrics = scoringMetrics(c.scoring);
+    publicCache.set(view, rows = view.map(u => publicRow(u, metrics)));
+  }
+  return rows;
+}
+
+const webhooks = createWebhooks(store, {
+  standings: c => assignPrizes(contestView(c).slice(0, 10), c.prizes),
+});
+
+// Default-contest events go to everyone (legacy clients never join a room);
+// the rest go to the contest's room. The slug rides along as a second argument.
+// Webhook targets get the same events.
+const room = slug => `contest:${slug}`;
+function emitContest(c, event, payload, ...extra) {
+  if (c.slug === DEFAULT_SLUG) io.emit(event, payload, c.slug, ...extra);
+  else io.to(room(c.slug)).emit(event, payload, c.slug, ...extra);
+  webhooks.notify(event, c, payload);
+}
+
+// Lifetime board, shaped like a contest with no window so contestView() can serve it.
+const GLOBAL = { slug: '', start: null, end: null, frozen: null };
+
+const realtime = createRealtime(io, {
+  resolve: ({ view, slug }) => {
+    if (view === 'global') return publicView(GLOBAL);
+    const c = getContest(slug);
+    return c ? publicView(c) : null;
+  },
+});
+
+// Push the new state of every board: protocol diffs, plus the legacy full
+// 'leaderboard:update' per contest, only when that board actually changed, and
+// 'leader:changed' with the new top row when someone else took #1.
+const legacySent = new Map();
+const leaders = new Map();
+function publishBoards() {
+  realtime.publish();
+  for (const c of listContests()) {
+    const view = publicView(c);
+    const sig = JSON.stringify(view);
+    if (legacySent.get(c.slug) === sig) continue;
+    legacySent.set(c.slug, sig);
+    emitContest(c, 'leaderboard:update', view);
+
+    const leader = view[0]?.id ?? null;
+    const was = leaders.get(c.slug);
+    leaders.set(c.slug, leader);
+    if (was !== undefined && leader != null && leader !== was && !c.frozen) emitContest(c, 'leader:changed', view[0]);
+  }
+}
+
+// ---------- Announcements ----------
+const announcements = createAnnouncements(store);
+const legacyAnnouncementId = slug => `legacy-${slug}`;
+
+// Contests used to carry one announcement string; move any into the list.
+function migrateAnnouncements() {
+  let moved = false;
+  for (const c of listContests()) {
+    if (!c.announcement) continue;
+    announcements.add({ text: c.announcement, contest: c.slug }, 'legacy', legacyAnnouncementId(c.slug));
+    c.announcement = '';
+    moved = true;
+  }
+  if (moved) saveSettings();
+}
+migrateAnnouncements();
+
+// { announcement: top active text (what older frontends read), announcements: all active }
+function announcementState(c) {
+  const list = announcements.active(c.slug);
+  return { announcement: list[0]?.text ?? '', announcements: list };
+}
+
+// 'announcement:update' for every contest whose active set changed, whether by an
+// edit or because one started or expired. The first pass only records the state.
+const announcementsSent = new Map();
+function publishAnnouncements() {
+  for (const c of listContests()) {
+    const state = announcementState(c);
+    const sig = JSON.stringify(state.announcements);
+    const prev = announcementsSent.get(c.slug);
+    announcementsSent.set(c.slug, sig);
+    if (prev !== undefined && prev !== sig) emitContest(c, 'announcement:update', state);
+  }
+}
+publishAnnouncements();
+
+io.on('connection', (socket) => {
+  socket.on('contest:join', (slug) => {
+    if (getContest(slug)) socket.join(room(slug));
+  });
+  socket.on('contest:leave', (slug) => socket.leave(room(slug)));
+});
+
+// Contest clock for countdowns and the lifecycle: wall time, or the time of the
+// snapshot being replayed while REPLAY_FILE runs (see runReplay).
+let replayClock = null;
+const clockNow = () => replayClock ?? Date.now();
+
+// Snapshot contests whose countdown has passed, using the last board before the end.
+function freezeEnded() {
+  let changed = false;
+  for (const c of listContests()) {
+    if (isEnded(c, clockNow()) && !c.frozen) {
+      c.frozen = { at: new Date(clockNow()).toISOString(), data: rawBoard(c) };
+      changed = true;
+      console.log(`⛔ Countdown ended for "${c.slug}" — leaderboard frozen.`);
+    }
+  }
+  if (changed) saveSettings();
+}
+
+// ---------- Lifecycle ----------
+const archive = createArchive(store);
+const payouts = createPayouts(store);
+
+// Archive the final standings with prizes; recurring contests then open their next period.
+function finalizeContest(c) {
+  const entry = archive.add(c, assignPrizes(contestBoard(c), c.prizes));
+  payouts.createFor(entry);
+  console.log(`[lifecycle] finalized "${c.slug}" as ${entry.id} (${entry.winners.length} winners)`);
+  emitContest(c, 'contest:ended', entry);
+
+  if (c.recurrence) {
+    const next = periodAt(c.recurrence, Date.parse(c.end ?? c.countdownEnd));
+    Object.assign(c, { start: next.start, end: next.end, countdownEnd: next.end, frozen: null, finalizedAt: null });
+    emitContest(c, 'countdown:update', { end: c.countdownEnd });
+    console.log(`[lifecycle] "${c.slug}" rolled over to ${next.start} → ${next.end}`);
+  } else {
+    c.finalizedAt = entry.finalizedAt;
+  }
+  saveSettings();
+  publishBoards();
+  return entry;
+}
+
+function runLifecycle() {
+  publishAnnouncements();
+  freezeEnded();
+  runHeroSchedule(clockNow()); // before rollover moves countdownEnd on
+  for (const c of listContests()) {
+    // catch up on every period missed while the server was down
+    for (let n = 0; isEnded(c, clockNow()) && !c.finalizedAt && n < 60; n++) {
+      try {
+        finalizeContest(c);
+      } catch (e) {
+        console.error(`[lifecycle] finalize "${c.slug}" failed:`, e?.message || e);
+        break;
+      }
+    }
+  }
+}
+cron.schedule(LIFECYCLE_CRON, runLifecycle);
+
+// ---------- ID mapping ----------
+// ID rows ({ name, id, uuid, steam64 }, keyed by board id) without duplicate
+// (id, uuid, steam64) combinations.
+function uniqueIdRows(list) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : []).filter(r => {
+    const k = `${r.id}|${r.uuid}|${r.steam64}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// The mapping from the last refresh, so exports don't have to call the provider.
+// A partial fetch only updates the rows it saw, like the leaderboard itself.
+function cacheIds(rows, truncated) {
+  try {
+    const fresh = uniqueIdRows(rows);
+    const got = new Set(fresh.map(r => r.id));
+    const kept = truncated ? (store.get('ids')?.rows || []).filter(r => !got.has(r.id)) : [];
+    store.set('ids', { updatedAt, partial: truncated, rows: [...kept, ...fresh] });
+  } catch (e) {
+    console.warn('[ids] cache failed:', e?.message || e);
+  }
+}
 
 // ---------- Refresh loop ----------
-async function refresh() {
-  // Optionally freeze further updates after countdown end
-  if (countdownEnd && Date.now() > new Date(countdownEnd).getTime()) {
-    console.log('⛔ Countdown ended — stopping API updates (leaderboard frozen).');
-    return;
+const steamProfiles = createSteamProfiles();
+const ANOMALY = anomalyConfig();
+const quarantine = createQuarantine(store);
+
+function applyBoard(sorted, { truncated = false, ts = Date.now() } = {}) {
+  leaderboard = sorted;
+  updatedAt   = new Date(ts).toISOString();
+  partial     = truncated;
+  saveCache();
+  if (!truncated) appendHistorySnapshot(leaderboard, ts); // snapshot for window math
+  publishBoards();
+}
+
+// outcome counts and the last run, for /healthz and /metrics
+const refreshStats = { outcomes: {}, lastAt: null, lastOutcome: null, lastDurationMs: null };
+
+async function refresh(source = fetchAffiliate) {
+  const t0 = Date.now();
+  const outcome = await refreshOnce(source);
+  refreshStats.outcomes[outcome] = (refreshStats.outcomes[outcome] || 0) + 1;
+  Object.assign(refreshStats, { lastAt: new Date().toISOString(), lastOutcome: outcome, lastDurationMs: Date.now() - t0 });
+}
+
+// 'ok' | 'partial' | 'quarantined' | 'empty' | 'failed' | 'idle'
+// `source` resolves like fetchAffiliate(); a `ts` in it (replay) dates the snapshot.
+async function refreshOnce(source) {
+  // Freeze contests after their countdown end; stop API updates once all have ended
+  freezeEnded();
+  if (listContests().every(c => isEnded(c, clockNow()))) {
+    console.log('⛔ All countdowns ended — stopping API updates.');
+    return 'idle';
   }
 
   try {
-    const players = await fetchAffiliate();
-    const sorted  = sortPlayers(players);
+    const { players, ids = [], partial: truncated, ts = Date.now() } = await source();
+    let sorted = sortPlayers(await steamProfiles.enrich(players));
 
     if (isSane(sorted)) {
-      leaderboard = sorted;
-      updatedAt   = new Date().toISOString();
-      saveCache();
-      appendHistorySnapshot(leaderboard); // snapshot for window math
-      io.emit('leaderboard:update', leaderboard);
-      console.log(`[refresh] ok: ${leaderboard.length} players at ${updatedAt}`);
-    } else {
-      console.warn('[refresh] empty/invalid list; keeping last good cache');
+      if (truncated && leaderboard.length) {
+        // a truncated fetch only updates the players it saw; everyone else keeps their last value
+        const fresh = new Map(sorted.map(u => [String(u.id), u]));
+        sorted = sortPlayers([...leaderboard.filter(u => !fresh.has(String(u.id))), ...fresh.values()]);
+      }
+      const issues = ANOMALY.enabled
+        ? detectAnomalies(sorted, leaderboard, { ...ANOMALY, elapsedMs: ts - (Date.parse(updatedAt) || 0) })
+        : [];
+      if (issues.length) {
+        const q = quarantine.add(sorted, issues, ts);
+        console.warn(`[refresh] snapshot quarantined as ${q.id}: ${issues.length} issue(s), e.g. ${issues[0].type}; keeping last good cache`);
+        return 'quarantined';
+      }
+      applyBoard(stampChanges(sorted, leaderboard, ts), { truncated, ts });
+      cacheIds(ids, truncated);
+      console.log(`[refresh] ${truncated ? 'partial' : 'ok'}: ${leaderboard.length} players at ${updatedAt}`);
+      return truncated ? 'partial' : 'ok';
     }
+    // nothing usable: every provider failed (see /healthz) or sent an empty list
+    console.warn(`[refresh] ${truncated ? 'provider unavailable' : 'empty/invalid list'}; keeping last good cache`);
+    return truncated ? 'failed' : 'empty';
   } catch (err) {
     console.error('[refresh] failed:', err?.message || err);
     // keep last good cache
+    return 'failed';
+  }
+}
+
+// REPLAY_FILE replaces the provider fetch with recorded snapshots, see replay.js
+const REPLAY_FILE = process.env.REPLAY_FILE || '';
+
+async function runReplay() {
+  let replay;
+  try {
+    replay = createReplay({ file: REPLAY_FILE, speed: Number(process.env.REPLAY_SPEED || 60) });
+  } catch (e) {
+    return console.warn('[replay] cannot read', REPLAY_FILE, e?.message || e);
+  }
+  console.log(`[replay] ${replay.total} snapshots from ${REPLAY_FILE}`);
+  // contests end and finalize on the recorded time, right after the snapshot that passes it
+  for (let snap; (snap = replay.next());) {
+    replayClock = snap.ts;
+    await refresh(async () => snap);
+    runLifecycle();
+    await new Promise(r => setTimeout(r, replay.delay()));
   }
+  console.log('[replay] finished; the clock stays at the last snapshot and provider refreshes stay off until restart');
+}
+
+if (REPLAY_FILE) {
+  setTimeout(() => { runReplay().catch(e => console.warn('[replay] failed:', e?.message || e)); }, 1500);
+} else {
+  cron.schedule(INTERVAL_CRON, () => refresh());
+  setTimeout(() => { refresh().catch(()=>{}); }, 1500);
 }
-cron.schedule(INTERVAL_CRON, refresh);
-setTimeout(() => { refresh().catch(()=>{}); }, 1500);
 
 // ---------- Health ----------
+// 'stale' once the board is older than HEALTH_STALE_MS while refreshes are expected;
+// 'degraded' while the last fetch was partial or a provider is failing. Always 200 so
+// liveness probes don't restart us over a provider outage; ?strict=1 answers 503 when stale.
+const HEALTH_STALE_MS = Number(process.env.HEALTH_STALE_MS || 90 * 60 * 1000);
+
 app.get('/healthz', (req, res) => {
-  res.json({ ok: true, updatedAt, count: leaderboard.length });
+  const ageMs = updatedAt ? clockNow() - Date.parse(updatedAt) : null;
+  const providers = providerHealth();
+  const idle = listContests().every(c => isEnded(c, clockNow()));
+  const stale = !idle && (ageMs == null || ageMs > HEALTH_STALE_MS);
+  const degraded = partial || providers.some(p => p.circuit !== 'closed' || p.consecutiveFailures > 0);
+  const status = stale ? 'stale' : degraded ? 'degraded' : 'ok';
+  res.status(stale && req.query.strict === '1' ? 503 : 200).json({
+    ok: !stale,
+    status,
+    updatedAt,
+    ageMs,
+    partial,
+    count: leaderboard.length,
+    lastRefresh: { at: refreshStats.lastAt, outcome: refreshStats.lastOutcome, durationMs: refreshStats.lastDurationMs },
+    providers: providers.map(p => ({
+      name: p.name, circuit: p.circuit, consecutiveFailures: p.consecutiveFailures,
+      lastSuccessAt: p.lastSuccessAt, lastError: p.lastError,
+    })),
+  });
 });
 
-// ---------- Public API ----------
-app.get('/api/leaderboard', (req, res) => {
-  if (contestStart && contestEnd) {
-    const s = Date.parse(contestStart), e = Date.parse(contestEnd);
-    if (Number.isFinite(s) && Number.isFinite(e) && e >= s) {
-      return res.json(computeWindowed(s, e));
-    }
+// Prometheus scrape; METRICS_TOKEN, when set, is required as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!token || !safeEqual(token, METRICS_TOKEN)) return res.status(401).type('text/plain').send('unauthorized\n');
   }
-  res.json(leaderboard);
+  const providers = providerHealth();
+  const per = (fn) => providers.map(p => ({ labels: { provider: p.name }, value: fn(p) }));
+  const ts = iso => (iso ? Date.parse(iso) / 1000 : null);
+  res.type('text/plain; version=0.0.4').send(formatMetrics([
+    { name: 'tokyorewards_refresh_total', help: 'Refresh runs by outcome.', type: 'counter',
+      samples: Object.entries(refreshStats.outcomes).map(([outcome, value]) => ({ labels: { outcome }, value })) },
+    { name: 'tokyorewards_refresh_duration_seconds', help: 'Duration of the last refresh.', type: 'gauge',
+      samples: [{ value: refreshStats.lastDurationMs == null ? null : refreshStats.lastDurationMs / 1000 }] },
+    { name: 'tokyorewards_leaderboard_age_seconds', help: 'Seconds since the leaderboard last changed.', type: 'gauge',
+      samples: [{ value: updatedAt ? (clockNow() - Date.parse(updatedAt)) / 1000 : null }] },
+    { name: 'tokyorewards_leaderboard_players', help: 'Players on the lifetime board.', type: 'gauge',
+      samples: [{ value: leaderboard.length }] },
+    { name: 'tokyorewards_leaderboard_partial', help: '1 while the last fetch was partial.', type: 'gauge',
+      samples: [{ value: partial ? 1 : 0 }] },
+    { name: 'tokyorewards_provider_requests_total', help: 'Provider HTTP requests by status class.', type: 'counter',
+      samples: providers.flatMap(p => Object.entries(p.statuses).map(([status, value]) => ({ labels: { provider: p.name, status }, value }))) },
+    { name: 'tokyorewards_provider_request_duration_seconds_sum', help: 'Total provider request time.', type: 'counter',
+      samples: per(p => p.latency.sumMs / 1000) },
+    { name: 'tokyorewards_provider_request_duration_seconds_count', help: 'Provider requests timed.', type: 'counter',
+      samples: per(p => p.latency.count) },
+    { name: 'tokyorewards_provider_consecutive_failures', help: 'Failed pages in a row.', type: 'gauge',
+      samples: per(p => p.consecutiveFailures) },
+    { name: 'tokyorewards_provider_circuit_open', help: '1 while the circuit breaker is open.', type: 'gauge',
+      samples: per(p => (p.circuit === 'open' ? 1 : 0)) },
+    { name: 'tokyorewards_provider_last_success_timestamp_seconds', help: 'Last successful provider page.', type: 'gauge',
+      samples: per(p => ts(p.lastSuccessAt)) },
+    { name: 'tokyorewards_socket_connections', help: 'Connected Socket.IO clients.', type: 'gauge',
+      samples: [{ value: io.engine.clientsCount }] },
+    { name: 'tokyorewards_realtime_subscribers', help: 'Subscribers per realtime view.', type: 'gauge',
+      samples: realtime.stats().map(v => ({ labels: { view: v.key }, value: v.subscribers })) },
+    { name: 'tokyorewards_realtime_seq', help: 'Current diff sequence per realtime view.', type: 'gauge',
+      samples: realtime.stats().map(v => ({ labels: { view: v.key }, value: v.seq })) },
+  ]));
+});
+
+// ---------- Public API ----------
+// Routes registered for both '/api/x' (default contest) and '/api/contests/:slug/x'.
+const both = p => [`/api${p}`, `/api/contests/:slug${p}`];
+function withContest(req, res, next) {
+  const c = req.params.slug ? getContest(req.params.slug) : defaultContest();
+  if (!c) return res.status(404).json({ error: 'contest_not_found' });
+  req.contest = c;
+  if (req.admin) res.locals.auditBefore = auditView(c);
+  next();
+}
+
+app.get('/api/contests', (req, res) => res.json(listContests().map(c => publicContest(c, clockNow()))));
+app.get('/api/contests/:slug', withContest, (req, res) => {
+  const c = req.contest;
+  res.json({ ...publicContest(c, clockNow()), ...prizeView(c.prizes), hero: c.hero, ...announcementState(c) });
 });
 
-app.get('/api/leaderboard/meta', (req, res) => {
-  res.json({ updatedAt, count: leaderboard.length });
+app.get(both('/leaderboard'), withContest, (req, res) => res.json(publicView(req.contest)));
+
+app.get(both('/leaderboard/meta'), withContest, (req, res) => {
+  const c = req.contest;
+  res.json({ updatedAt: c.frozen?.at ?? updatedAt, partial, frozen: Boolean(c.frozen), count: contestBoard(c).length });
+});
+
+// Player detail: standing in a contest (default unless ?contest=slug) and the
+// points/rank timeline, read off the contest's own boards (scoring, overrides,
+// eligibility) at history snapshots. Windowed contests cover the window; otherwise
+// ?start/&end pick the range (default: the 30 days up to the newest snapshot).
+// Ranges are capped at TIMELINE_MAX_DAYS and sampled down to TIMELINE_MAX_POINTS
+// boards, built once per contest and refresh; timelines are cached per player.
+const TIMELINE_MAX_DAYS = 31;
+const TIMELINE_MAX_POINTS = Number(process.env.TIMELINE_MAX_POINTS || 48);
+const TIMELINE_CACHE_MAX = 500;
+const timelineBoards = new Map();
+const timelineCache = new Map();
+
+function contestTimelines(c, start, end) {
+  const key = `${c.slug}|${start}|${end}|${updatedAt}|${overrides.version}|${JSON.stringify(c.scoring)}|${JSON.stringify(c.eligibility)}`;
+  const hit = timelineBoards.get(c.slug);
+  if (hit?.key === key) return hit;
+
+  // windowed boards need every snapshot from the window's start, sampled or not
+  const w = contestWindow(c);
+  const { baseline, snaps } = history.range(w ? w.start : start, end);
+  const pass = w && windowPass(baseline, c.scoring);
+  const from = snaps.findIndex(s => s.ts >= start);
+  const n = from < 0 ? 0 : Math.min(snaps.length - from, TIMELINE_MAX_POINTS);
+  const picks = new Set();
+  for (let i = 0; i < n; i++) picks.add(from + Math.round(i * (snaps.length - 1 - from) / Math.max(1, n - 1)));
+
+  const boards = [];
+  snaps.forEach((snap, i) => {
+    pass?.add(snap);
+    if (!picks.has(i)) return;
+    const board = servedBoard(c, pass ? pass.rows() : snapshotBoard(snap.p, null, snap.m));
+    boards.push({ ts: snap.ts, ids: board.map(u => String(u.id)), points: board.map(u => Number(u.points) || 0) });
+  });
+  const entry = { key, boards };
+  timelineBoards.set(c.slug, entry);
+  return entry;
+}
+
+app.get('/api/players/:id', (req, res) => {
+  const c = req.query.contest ? getContest(String(req.query.contest)) : defaultContest();
+  if (!c) return res.status(404).json({ error: 'contest_not_found' });
+  const id = String(req.params.id);
+  if (overrides.isExcluded(id)) return res.status(404).json({ error: 'player_not_found' });
+  const row = contestView(c).find(u => String(u.id) === id);
+  const found = findPlayer(id);
+  const info = row || (found && overrides.decorate(found, c.slug || null));
+  if (!info) return res.status(404).json({ error: 'player_not_found' });
+
+  const w = contestWindow(c);
+  const day = 24 * 60 * 60 * 1000;
+  const end = w ? w.end : (Date.parse(req.query.end ?? '') || (history.latest()?.ts ?? Date.now()));
+  const start = Math.max(w ? w.start : (Date.parse(req.query.start ?? '') || end - 30 * day), end - TIMELINE_MAX_DAYS * day);
+  const { key, boards } = contestTimelines(c, start, end);
+
+  const cacheKey = `${key}|${id}`;
+  let timeline = timelineCache.get(cacheKey);
+  if (!timeline) {
+    timeline = playerTimeline(boards, id);
+    if (timelineCache.size >= TIMELINE_CACHE_MAX) timelineCache.delete(timelineCache.keys().next().value);
+    timelineCache.set(cacheKey, timeline);
+  }
+
+  res.json({
+    id,
+    name: info.name,
+    avatar: info.avatar ?? null,
+    contest: c.slug,
+    rank: row?.rank ?? null,
+    points: row?.points ?? 0,
+    previousRank: row?.previousRank ?? null,
+    pointsDelta: row?.pointsDelta ?? 0,
+    timeline,
+  });
 });
 
 // Optional ad-hoc preview of any range
@@ -255,45 +838,342 @@ app.get('/api/leaderboard/range', (req, res) => {
   if (!Number.isFinite(s) || !Number.isFinite(e) || e < s) {
     return res.status(400).json({ error: 'invalid range' });
   }
-  res.json(computeWindowed(s, e));
+  res.json(overrides.apply(computeWindowed(s, e), { lookup: findPlayer }).map(u => publicRow(u)));
 });
 
-app.get('/api/countdown', (req, res) => res.json({ end: countdownEnd }));
-app.get('/api/announcement', (req, res) => res.json({ announcement }));
-app.get('/api/prizes', (req, res) => res.json({ prizes }));
-app.get('/api/hero', (req, res) => res.json(hero));
+app.get(both('/countdown'), withContest, (req, res) => res.json({ end: req.contest.countdownEnd }));
+app.get(both('/announcement'), withContest, (req, res) => res.json({ announcement: announcementState(req.contest).announcement }));
+app.get(both('/announcements'), withContest, (req, res) => res.json(announcements.active(req.contest.slug)));
+// { prizes: flat cash array (old shape), table, ranks: per-rank view }
+app.get(both('/prizes'), withContest, (req, res) => res.json(prizeView(req.contest.prizes)));
+app.get(both('/hero'), withContest, (req, res) => res.json(req.contest.hero));
+
+// past contests and their winners
+app.get('/api/archive', (req, res) => res.json(archive.list(req.query.slug)));
+app.get('/api/archive/:id', (req, res) => {
+  const entry = archive.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'not_found' });
+  res.json(entry);
+});
+app.get('/api/contests/:slug/archive', withContest, (req, res) => res.json(archive.list(req.contest.slug)));
+
+// winners look up their own claim status by player id
+app.get('/api/payouts/lookup', (req, res) => {
+  const player = String(req.query.player ?? '').trim();
+  if (!player) return res.status(400).json({ error: 'player required' });
+  res.json(payouts.list({ playerId: player }).map(publicPayout));
+});
+
+// ---------- Widgets ----------
+// Embeddable overlay and card, see widgets.js. The overlay can be framed from
+// anywhere unless WIDGET_FRAME_ANCESTORS narrows it.
+const WIDGET_FRAME_ANCESTORS = process.env.WIDGET_FRAME_ANCESTORS || '*';
+
+function widgetRows(c, n) {
+  return assignPrizes(contestView(c), c.prizes).filter(r => !r.ineligible).slice(0, n);
+}
+
+app.get(both('/widget/card.svg'), withContest, (req, res) => {
+  const c = req.contest;
+  const o = widgetOptions(req.query, { hero: c.hero, theme: 'dark' });
+  res.set('Cache-Control', 'public, max-age=60');
+  res.type('image/svg+xml').send(renderCard({
+    title: c.hero?.headline || c.title,
+    rows: widgetRows(c, o.rows),
+    currency: c.prizes?.currency || 'USD',
+    end: c.countdownEnd ?? c.end,
+  }, o));
+});
+
+app.get(both('/widget/overlay'), withContest, (req, res) => {
+  const c = req.contest;
+  const o = widgetOptions(req.query, { hero: c.hero, theme: 'transparent' });
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const board = contestView(c).filter(u => !u.ineligible).slice(0, o.rows);
+  res.removeHeader('X-Frame-Options');
+  res.set({
+    'Cache-Control': 'no-cache',
+    'Content-Security-Policy': [
+      "default-src 'none'", `script-src 'self' 'nonce-${nonce}'`, `style-src 'nonce-${nonce}'`,
+      "connect-src 'self'", 'img-src * data:', `frame-ancestors ${WIDGET_FRAME_ANCESTORS}`,
+    ].join('; '),
+  });
+  res.type('html').send(renderOverlay({
+    slug: c.slug,
+    title: c.title,
+    headline: c.hero?.headline || '',
+    rows: board.map(u => ({ id: u.id, rank: u.rank, name: u.name, avatar: u.avatar ?? null, points: u.points })),
+    ranks: prizeView(c.prizes).ranks,
+    currency: c.prizes?.currency || 'USD',
+    end: c.countdownEnd ?? c.end,
+    windowEnd: c.end,
+  }, o, nonce));
+});
+
+// ---------- Admin auth ----------
+const auth = createAuth({ store, legacyToken: ADMIN_TOKEN });
+auth.bootstrap(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+const audit = createAuditLog(DATA_DIR);
+
+const adminLimiter = rateLimit({ windowMs: 60_000, max: Number(process.env.ADMIN_RATE_LIMIT || 120) });
+const loginLimiter = rateLimit({ windowMs: 15 * 60_000, max: 10, skipSuccessfulRequests: true });
+const MUTATING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// contest state as recorded in the audit log (frozen standings reduced to a count)
+function auditView(c) {
+  return structuredClone({ ...c, frozen: c.frozen ? { at: c.frozen.at, count: c.frozen.data.length } : null });
+}
+
+// Missing or unknown credentials get the same 404 as a route that doesn't exist.
+// Mutating calls are audited once the response is sent; handlers put what they
+// changed in res.locals.auditBefore/auditAfter (contest routes get it from withContest).
+function requireRole(role) {
+  return [adminLimiter, (req, res, next) => {
+    const who = auth.authenticate(req);
+    if (!who) return res.status(404).json({ error: 'not_found' });
+    if (!hasRole(who, role)) return res.status(403).json({ error: 'forbidden' });
+    req.admin = who;
+    if (MUTATING.has(req.method)) {
+      res.on('finish', () => audit.append({
+        user: who.username,
+        role: who.role,
+        via: who.via,
+        method: req.method,
+        route: typeof req.route?.path === 'string' ? req.route.path : req.path,
+        path: req.originalUrl,
+        status: res.statusCode,
+        body: req.body,
+        before: res.locals.auditBefore ?? null,
+        after: req.contest ? auditView(req.contest) : (res.locals.auditAfter ?? null),
+      }));
+    }
+    next();
+  }];
+}
+const requireAdmin  = requireRole('owner');
+const requireEditor = requireRole('editor');
+
+app.post('/api/admin/login', loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+  audit.append({ user: String(username ?? ''), method: 'POST', route: '/api/admin/login', status: session ? 200 : 401 });
+  if (!session) return res.status(401).json({ error: 'invalid credentials' });
+  res.json(session);
+});
+
+app.post('/api/admin/logout', requireEditor, (req, res) => {
+  auth.logout(req);
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/me', requireEditor, (req, res) => res.json(req.admin));
+
+app.get('/api/admin/users', requireAdmin, (req, res) => res.json(auth.listUsers()));
+
+app.post('/api/admin/users', requireAdmin, (req, res) => {
+  try {
+    const u = auth.createUser(req.body || {});
+    res.locals.auditAfter = u;
+    res.status(201).json(u);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// { password?, role? }
+app.post('/api/admin/users/:username', requireAdmin, (req, res) => {
+  res.locals.auditBefore = auth.getUser(req.params.username);
+  try {
+    const u = auth.updateUser(req.params.username, req.body || {});
+    if (!u) return res.status(404).json({ error: 'not_found' });
+    res.locals.auditAfter = u;
+    res.json(u);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/admin/users/:username', requireAdmin, (req, res) => {
+  res.locals.auditBefore = auth.getUser(req.params.username);
+  try {
+    if (!auth.deleteUser(req.params.username)) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// API keys belong to the calling account
+app.get('/api/admin/keys', requireEditor, (req, res) => res.json(auth.getUser(req.admin.username)?.keys ?? []));
+
+app.post('/api/admin/keys', requireEditor, (req, res) => {
+  const key = auth.createKey(req.admin.username, req.body?.label);
+  if (!key) return res.status(400).json({ error: 'api keys need a named account' });
+  res.locals.auditAfter = { id: key.id, label: key.label };
+  res.status(201).json(key);
+});
+
+app.delete('/api/admin/keys/:id', requireEditor, (req, res) => {
+  if (!auth.deleteKey(req.admin.username, req.params.id)) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+  res.json(audit.read({ limit, user: req.query.user, since: req.query.since }));
+});
 
 // ---------- Contest window (Admin) ----------
-function requireAdmin(req, res, next) {
-  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'not_found' });
-  const token = req.get('x-admin-token');
-  if (token !== ADMIN_TOKEN) return res.status(404).json({ error: 'not_found' });
-  next();
+
+function toIso(v) {
+  if (!v) return null;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
 }
-const adminLimiter = rateLimit({ windowMs: 60_000, max: 20 });
 
-app.get('/api/contest', (req, res) => res.json({ start: contestStart, end: contestEnd }));
-app.post('/api/contest', requireAdmin, (req, res) => {
-  const { start, end } = req.body || {};
-  contestStart = start ? new Date(start).toISOString() : null;
-  contestEnd   = end   ? new Date(end).toISOString()   : null;
-  res.json({ start: contestStart, end: contestEnd });
+app.get(['/api/contest', '/api/contests/:slug/window'], withContest, (req, res) => {
+  res.json({ start: req.contest.start, end: req.contest.end });
+});
+app.post(['/api/contest', '/api/contests/:slug/window'], requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  const start = toIso(req.body?.start), end = toIso(req.body?.end);
+  if (start === undefined || end === undefined) return res.status(400).json({ error: 'invalid window' });
+  c.start = start;
+  c.end   = end;
+  saveSettings();
+  publishBoards();
+  res.json({ start: c.start, end: c.end });
 });
 
-// ---------- Admin helpers ----------
-app.get('/api/admin/ping', adminLimiter, requireAdmin, (req, res) => res.json({ ok: true }));
+app.post('/api/contests', requireAdmin, (req, res) => {
+  const { slug, title, start, end, countdownEnd, prizes, announcement } = req.body || {};
+  if (!isValidSlug(slug)) return res.status(400).json({ error: 'invalid slug' });
+  if (getContest(slug)) return res.status(409).json({ error: 'contest exists' });
+  let recurrence, scoring, rules;
+  try {
+    recurrence = normalizeRecurrence(req.body?.recurrence);
+    scoring = normalizeScoring(req.body?.scoring);
+    rules = normalizeEligibility(req.body?.eligibility);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const times = [toIso(start), toIso(end), toIso(countdownEnd)];
+  if (times.includes(undefined)) return res.status(400).json({ error: 'invalid date' });
+  let table;
+  try { table = prizes == null ? undefined : parsePrizeTable(prizes); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  if (recurrence && !times[0] && !times[1]) {
+    const p = periodAt(recurrence, Date.now());
+    times[0] = p.start;
+    times[1] = times[2] = p.end;
+  }
+  const c = addContest(slug, {
+    title, recurrence, scoring, eligibility: rules, start: times[0], end: times[1], countdownEnd: times[2],
+    prizes: table,
+    announcement
+  });
+  saveSettings();
+  migrateAnnouncements();
+  publishAnnouncements();
+  res.locals.auditAfter = auditView(c);
+  res.status(201).json(publicContest(c, clockNow()));
+});
 
-app.post('/api/prizes', requireAdmin, (req, res) => {
-  const arr = req.body?.prizes;
-  if (!Array.isArray(arr) || arr.length !== 10 || !arr.every(x => Number.isFinite(Number(x)))) {
-    return res.status(400).json({ error: 'prizes must be an array of 10 numbers' });
+app.post('/api/contests/:slug/recurrence', requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  try { c.recurrence = normalizeRecurrence(req.body?.recurrence ?? null); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  if (c.recurrence && !contestWindow(c)) {
+    const p = periodAt(c.recurrence, Date.now());
+    Object.assign(c, { start: p.start, end: p.end, countdownEnd: p.end, frozen: null, finalizedAt: null });
+    emitContest(c, 'countdown:update', { end: c.countdownEnd });
   }
-  prizes = arr.map(x => Math.floor(Number(x)));
-  io.emit('prizes:update', prizes);
-  res.json({ prizes });
+  saveSettings();
+  res.json(publicContest(c, clockNow()));
+});
+
+// { scoring: { weights?, tieBreak? } | null }, see scoring.js
+app.post('/api/contests/:slug/scoring', requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  if (c.frozen) return res.status(409).json({ error: 'contest is frozen' });
+  try { c.scoring = normalizeScoring(req.body?.scoring ?? null); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  saveSettings();
+  publishBoards();
+  res.json({ scoring: c.scoring });
+});
+
+// { eligibility: { minPoints?, minMetrics?, referredBefore?, onePrizePerSteam?, ineligible? } | null },
+// see eligibility.js
+app.post('/api/contests/:slug/eligibility', requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  if (c.frozen) return res.status(409).json({ error: 'contest is frozen' });
+  try { c.eligibility = normalizeEligibility(req.body?.eligibility ?? null); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  saveSettings();
+  publishBoards();
+  res.json({ eligibility: c.eligibility });
+});
+
+// Who the rules keep off the board or away from prizes right now, and why.
+app.get('/api/contests/:slug/eligibility', requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  const { board, excluded } = eligibility(c, overrides.apply(rawBoard(c), { contest: c.slug || null, lookup: findPlayer }));
+  res.json({
+    eligibility: c.eligibility,
+    eligible: board.length - (c.eligibility?.ineligible === 'mark' ? excluded.length : 0),
+    excluded,
+  });
+});
+
+// close a contest now: archive its current standings (and roll over if recurring)
+app.post('/api/contests/:slug/finalize', requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  if (c.finalizedAt) return res.status(409).json({ error: 'already finalized' });
+  if (!c.frozen) c.frozen = { at: new Date().toISOString(), data: rawBoard(c) };
+  res.json(finalizeContest(c));
+});
+
+app.delete('/api/contests/:slug', requireAdmin, (req, res) => {
+  if (req.params.slug === DEFAULT_SLUG) return res.status(400).json({ error: 'cannot delete default contest' });
+  const c = getContest(req.params.slug);
+  if (c) res.locals.auditBefore = auditView(c);
+  if (!removeContest(req.params.slug)) return res.status(404).json({ error: 'contest_not_found' });
+  io.in(room(req.params.slug)).socketsLeave(room(req.params.slug));
+  for (const a of announcements.list({ contest: req.params.slug })) announcements.remove(a.id);
+  saveSettings();
+  res.json({ ok: true });
 });
 
-app.post('/api/countdown', requireAdmin, (req, res) => {
+// ---------- Admin helpers ----------
+app.get('/api/admin/ping', requireEditor, (req, res) => res.json({ ok: true, user: req.admin.username, role: req.admin.role }));
+app.get('/api/admin/providers', requireAdmin, (req, res) => res.json({ providers: listProviders(), health: providerHealth(), steam: steamProfiles.stats() }));
+// { faults: { rate429?, rate500?, emptyPage?, reset?, retryAfter?, latencyMs? } }, simulator providers only
+app.post('/api/admin/providers/:name/faults', requireAdmin, (req, res) => {
+  let faults;
+  try { faults = setProviderFaults(req.params.name, req.body?.faults ?? {}); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  if (!faults) return res.status(404).json({ error: 'no provider with fault injection by that name' });
+  res.json({ faults });
+});
+app.get('/api/admin/history', requireAdmin, (req, res) => res.json(history.stats()));
+app.post('/api/admin/history/compact', requireAdmin, (req, res) => res.json({ compacted: compactHistory() }));
+
+// body: { prizes: [numbers] } or { prizes: { currency, pool, tiers } } (also accepted as `table`)
+app.post(both('/prizes'), requireAdmin, withContest, (req, res) => {
+  let table;
+  try { table = parsePrizeTable(req.body?.table ?? req.body?.prizes); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  const c = req.contest;
+  c.prizes = table;
+  saveSettings();
+  // old clients read the flat array in the first argument; the full view rides third
+  const view = prizeView(c.prizes);
+  emitContest(c, 'prizes:update', view.prizes, view);
+  res.json(view);
+});
+
+app.post(both('/countdown'), requireAdmin, withContest, (req, res) => {
   let t = req.body?.end;
   if (typeof t === 'string' && /^\d+$/.test(t)) t = Number(t);
   if (typeof t === 'number') t = new Date(t);
@@ -306,186 +1186,515 @@ app.post('/api/countdown', requireAdmin, (req, res) => {
   const dt = t instanceof Date ? t.getTime() : Date.parse(String(t || ''));
   if (!Number.isFinite(dt)) return res.status(400).json({ error: 'invalid end' });
 
-  countdownEnd = new Date(dt).toISOString();
-  saveSettings();                         // <— add this
-  io.emit('countdown:update', { end: countdownEnd });
-  res.json({ end: countdownEnd });
-
+  const c = req.contest;
+  c.countdownEnd = new Date(dt).toISOString();
+  if (!isEnded(c, clockNow())) c.frozen = c.finalizedAt = null; // countdown moved into the future: reopen
+  saveSettings();
+  emitContest(c, 'countdown:update', { end: c.countdownEnd });
+  res.json({ end: c.countdownEnd });
 });
 
+// ---------- Hero ----------
+const heroLib = createHeroLibrary(store);
+
+// Every hero change goes through here so the previous state lands in the history.
+function setHero(c, next, by) {
+  heroLib.record(c.slug, c.hero, by);
+  c.hero = next;
+  saveSettings();
+  emitContest(c, 'hero:update', c.hero);
+}
+
+// Uploads go into the media library; the hero field then points at the asset.
+function heroUpload(field, assetField) {
+  return (req, res) => {
+    let asset;
+    try {
+      asset = media.add(req.file, req.admin.username);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const c = req.contest;
+    setHero(c, { ...c.hero, [field]: asset.url, [assetField]: asset.id }, req.admin.username);
+    res.json({ [field]: asset.url, asset });
+  };
+}
+
 // hero main image upload
-app.post('/api/hero/image', requireAdmin, upload.single('image'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'no file' });
-  const finalPath = path.join(UPLOAD_DIR, 'hero' + path.extname(req.file.originalname || '.png'));
-  fs.renameSync(req.file.path, finalPath);
-  const publicUrl = '/uploads/' + path.basename(finalPath);
-  hero.imageUrl = publicUrl;
+app.post(both('/hero/image'), requireEditor, withContest, uploadImage, heroUpload('imageUrl', 'imageAsset'));
+
+// coin image upload
+app.post(both('/hero/coin-image'), requireEditor, withContest, uploadImage, heroUpload('coinImageUrl', 'coinImageAsset'));
+
+// hero settings; any subset of the fields in hero.js, validated
+app.post(both('/hero'), requireEditor, withContest, (req, res) => {
+  const body = { ...(req.body || {}) };
+
+  // imageAsset / coinImageAsset pick a library asset (null clears the image)
+  for (const [assetField, field] of [['imageAsset', 'imageUrl'], ['coinImageAsset', 'coinImageUrl']]) {
+    const id = body[assetField];
+    if (id === null || id === '') Object.assign(body, { [assetField]: null, [field]: '' });
+    else if (id !== undefined) {
+      const a = media.get(String(id));
+      if (!a) return res.status(400).json({ error: `unknown asset: ${id}` });
+      Object.assign(body, { [assetField]: a.id, [field]: a.url });
+    } else if (body[field] != null) {
+      body[assetField] = media.byUrl(body[field])?.id ?? null;
+    }
+  }
+
+  let patch;
+  try {
+    patch = validateHero(body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const c = req.contest;
+  setHero(c, { ...c.hero, ...patch }, req.admin.username);
+  res.json(c.hero);
+});
+
+app.get(both('/hero/history'), requireEditor, withContest, (req, res) => res.json(heroLib.history(req.contest.slug)));
+
+// back to the state before the last change
+app.post(both('/hero/undo'), requireEditor, withContest, (req, res) => {
+  const c = req.contest;
+  const prev = heroLib.undo(c.slug);
+  if (!prev) return res.status(409).json({ error: 'nothing_to_undo' });
+  c.hero = prev;
   saveSettings();
-  io.emit('hero:update', hero);
-  res.json({ imageUrl: publicUrl });
+  emitContest(c, 'hero:update', c.hero);
+  res.json(c.hero);
+});
+
+// presets are shared by all contests and may hold only some fields
+app.get('/api/admin/hero/presets', requireEditor, (req, res) => res.json(heroLib.presets()));
+
+// { hero } saves those fields; without it the current hero of ?contest (default) is saved
+app.post('/api/admin/hero/presets/:name', requireEditor, (req, res) => {
+  const c = req.query.contest ? getContest(String(req.query.contest)) : defaultContest();
+  if (!c) return res.status(404).json({ error: 'contest_not_found' });
+  res.locals.auditBefore = heroLib.preset(req.params.name);
+  try {
+    const p = heroLib.savePreset(req.params.name, req.body?.hero ?? c.hero, req.admin.username);
+    res.locals.auditAfter = p;
+    res.json(p);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/admin/hero/presets/:name', requireEditor, (req, res) => {
+  res.locals.auditBefore = heroLib.preset(req.params.name);
+  if (!heroLib.removePreset(req.params.name)) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+function applyPreset(c, name, by) {
+  const p = heroLib.preset(name);
+  if (!p) return false;
+  setHero(c, { ...c.hero, ...p.hero }, by);
+  return true;
+}
+
+// { name }
+app.post(both('/hero/preset'), requireEditor, withContest, (req, res) => {
+  const c = req.contest;
+  if (!applyPreset(c, String(req.body?.name ?? ''), req.admin.username)) return res.status(404).json({ error: 'preset_not_found' });
+  res.json(c.hero);
 });
 
-// NEW: coin image upload
-app.post('/api/hero/coin-image', requireAdmin, upload.single('image'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'no file' });
-  const finalPath = path.join(UPLOAD_DIR, 'coin' + path.extname(req.file.originalname || '.png'));
-  fs.renameSync(req.file.path, finalPath);
-  const publicUrl = '/uploads/' + path.basename(finalPath);
-  hero.coinImageUrl = publicUrl;
+// Scheduled preset switches: { preset, at: ISO } fires once; { preset, on: 'countdownEnd' }
+// fires whenever the contest's countdown passes (once per countdownEnd value).
+function runHeroSchedule(now = Date.now()) {
+  for (const c of listContests()) {
+    let changed = false;
+    for (const s of c.heroSchedule) {
+      const when = s.on === 'countdownEnd' ? c.countdownEnd : s.at;
+      const t = Date.parse(when ?? '');
+      if (!Number.isFinite(t) || t > now || s.firedFor === when) continue;
+      s.firedFor = when;
+      changed = true;
+      if (applyPreset(c, s.preset, `schedule:${s.id}`)) console.log(`[hero] "${c.slug}" switched to preset "${s.preset}"`);
+      else console.warn(`[hero] scheduled preset "${s.preset}" for "${c.slug}" no longer exists`);
+    }
+    if (!changed) continue;
+    c.heroSchedule = c.heroSchedule.filter(s => s.on || !s.firedFor);
+    saveSettings();
+  }
+}
+
+app.get(both('/hero/schedule'), requireEditor, withContest, (req, res) => res.json(req.contest.heroSchedule));
+
+app.post(both('/hero/schedule'), requireEditor, withContest, (req, res) => {
+  const { preset, at, on } = req.body || {};
+  if (!heroLib.preset(String(preset ?? ''))) return res.status(400).json({ error: 'unknown preset' });
+  let entry;
+  if (on === 'countdownEnd') entry = { on, at: null };
+  else if (!on && Number.isFinite(Date.parse(at ?? ''))) entry = { on: null, at: new Date(at).toISOString() };
+  else return res.status(400).json({ error: "need an ISO 'at' time or on: 'countdownEnd'" });
+  const c = req.contest;
+  const s = { id: crypto.randomBytes(4).toString('hex'), preset: String(preset), ...entry, firedFor: null };
+  c.heroSchedule = [...c.heroSchedule, s];
   saveSettings();
-  io.emit('hero:update', hero);
-  res.json({ coinImageUrl: publicUrl });
-});
-
-// hero settings
-app.post('/api/hero', requireAdmin, (req, res) => {
-  const {
-    headline, sub1, sub2,
-    linkText, linkUrl,
-    headlineColor, sub1Color, sub2Color,
-    headlineGlow, imageUrl, imageGlow,
-    coinImageUrl, // NEW
-  } = req.body || {};
-
-  hero = {
-    ...hero,
-    headline: headline ?? hero.headline,
-    sub1: sub1 ?? hero.sub1,
-    sub2: sub2 ?? hero.sub2,
-    linkText: linkText ?? hero.linkText,
-    linkUrl: linkUrl ?? hero.linkUrl,
-    headlineColor: headlineColor ?? hero.headlineColor,
-    sub1Color: sub1Color ?? hero.sub1Color,
-    sub2Color: sub2Color ?? hero.sub2Color,
-    headlineGlow: headlineGlow ?? hero.headlineGlow,
-    imageUrl: imageUrl ?? hero.imageUrl,
-    imageGlow: imageGlow ?? hero.imageGlow,
-    coinImageUrl: coinImageUrl ?? hero.coinImageUrl,
-  };
+  res.status(201).json(s);
+});
+
+app.delete(both('/hero/schedule/:id'), requireEditor, withContest, (req, res) => {
+  const c = req.contest;
+  if (!c.heroSchedule.some(s => s.id === req.params.id)) return res.status(404).json({ error: 'not_found' });
+  c.heroSchedule = c.heroSchedule.filter(s => s.id !== req.params.id);
   saveSettings();
-  io.emit('hero:update', hero);
-  res.json(hero);
+  res.json({ ok: true });
+});
+
+// legacy single announcement: replaces the contest's 'legacy-<slug>' entry ('' removes it)
+app.post(both('/announcement'), requireEditor, withContest, (req, res) => {
+  const c = req.contest;
+  const text = String(req.body?.announcement ?? '').trim();
+  try {
+    if (text) announcements.add({ text, contest: c.slug }, req.admin.username, legacyAnnouncementId(c.slug));
+    else announcements.remove(legacyAnnouncementId(c.slug));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  publishAnnouncements();
+  res.json({ announcement: announcementState(c).announcement });
 });
 
-app.post('/api/announcement', requireAdmin, (req, res) => {
-  announcement = req.body?.announcement || '';
-  io.emit('announcement:update', { announcement });
-  res.json({ announcement });
+app.get('/api/admin/announcements', requireEditor, (req, res) => {
+  res.json(announcements.list(req.query.contest ? { contest: String(req.query.contest) } : {}));
 });
 
-app.post('/api/admin/refresh', requireAdmin, async (req, res) => {
+// { text, contest?, severity?, startsAt?, expiresAt?, link?: { url, text }, dismissible?, pinned? }
+app.post('/api/admin/announcements', requireEditor, (req, res) => {
+  if (req.body?.contest && !getContest(String(req.body.contest))) return res.status(400).json({ error: 'unknown contest' });
+  try {
+    const a = announcements.add(req.body, req.admin.username);
+    res.locals.auditAfter = a;
+    publishAnnouncements();
+    res.status(201).json(a);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.post('/api/admin/announcements/:id', requireEditor, (req, res) => {
+  if (req.body?.contest && !getContest(String(req.body.contest))) return res.status(400).json({ error: 'unknown contest' });
+  res.locals.auditBefore = announcements.get(req.params.id);
+  try {
+    const a = announcements.update(req.params.id, req.body);
+    if (!a) return res.status(404).json({ error: 'not_found' });
+    res.locals.auditAfter = a;
+    publishAnnouncements();
+    res.json(a);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/admin/announcements/:id', requireEditor, (req, res) => {
+  res.locals.auditBefore = announcements.get(req.params.id);
+  if (!announcements.remove(req.params.id)) return res.status(404).json({ error: 'not_found' });
+  publishAnnouncements();
+  res.json({ ok: true });
+});
+
+// ---------- Player overrides (Admin) ----------
+app.get('/api/admin/overrides', requireAdmin, (req, res) => res.json(overrides.list()));
+
+// ids the overrides map can't hold (they'd land on Object.prototype)
+const overrideId = (req, res, next) => (isReservedId(req.params.id) ? res.status(400).json({ error: 'invalid player id' }) : next());
+
+// { exclude?, displayName?, avatar?, anonymous?, note? }
+app.post('/api/admin/overrides/:id', requireAdmin, overrideId, (req, res) => {
+  res.locals.auditBefore = overrides.get(req.params.id);
+  const o = overrides.set(req.params.id, req.body || {});
+  res.locals.auditAfter = o;
+  publishBoards();
+  res.json(o);
+});
+
+app.delete('/api/admin/overrides/:id', requireAdmin, overrideId, (req, res) => {
+  res.locals.auditBefore = overrides.get(req.params.id);
+  if (!overrides.remove(req.params.id)) return res.status(404).json({ error: 'not_found' });
+  publishBoards();
+  res.json({ ok: true });
+});
+
+// { points, reason, contest? } — contest limits it to that contest's board
+app.post('/api/admin/overrides/:id/adjustments', requireAdmin, overrideId, (req, res) => {
+  const { points, reason, contest } = req.body || {};
+  if (contest && !getContest(contest)) return res.status(400).json({ error: 'unknown contest' });
+  try {
+    const adj = overrides.addAdjustment(req.params.id, { points, reason, contest }, req.admin.username);
+    res.locals.auditAfter = adj;
+    publishBoards();
+    res.status(201).json(adj);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/admin/overrides/:id/adjustments/:adjId', requireAdmin, overrideId, (req, res) => {
+  res.locals.auditBefore = overrides.get(req.params.id)?.adjustments?.find(a => a.id === req.params.adjId) ?? null;
+  if (!overrides.removeAdjustment(req.params.id, req.params.adjId)) return res.status(404).json({ error: 'not_found' });
+  publishBoards();
+  res.json({ ok: true });
+});
+
+// ---------- Media library ----------
+app.get('/api/admin/media', requireEditor, (req, res) => res.json(media.list()));
+
+app.post('/api/admin/media', requireEditor, uploadImage, (req, res) => {
+  try {
+    const asset = media.add(req.file, req.admin.username);
+    res.locals.auditAfter = asset;
+    res.status(201).json(asset);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// where an asset is still referenced (hero images, prize items)
+function mediaUsage(asset) {
+  const used = [];
+  for (const c of listContests()) {
+    if (c.hero?.imageAsset === asset.id || c.hero?.imageUrl === asset.url) used.push(`${c.slug}: hero image`);
+    if (c.hero?.coinImageAsset === asset.id || c.hero?.coinImageUrl === asset.url) used.push(`${c.slug}: coin image`);
+    if ((c.prizes?.tiers || []).some(t => t.item?.imageUrl === asset.url)) used.push(`${c.slug}: prize item`);
+  }
+  for (const [name, p] of Object.entries(heroLib.presets())) {
+    if ([p.hero.imageAsset, p.hero.coinImageAsset].includes(asset.id) || [p.hero.imageUrl, p.hero.coinImageUrl].includes(asset.url)) used.push(`preset: ${name}`);
+  }
+  return used;
+}
+
+app.delete('/api/admin/media/:id', requireAdmin, (req, res) => {
+  const asset = media.get(req.params.id);
+  if (!asset) return res.status(404).json({ error: 'not_found' });
+  const usedBy = mediaUsage(asset);
+  if (usedBy.length) return res.status(409).json({ error: 'asset_in_use', usedBy });
+  res.locals.auditBefore = asset;
+  media.remove(asset.id);
+  res.json({ ok: true });
+});
+
+// ---------- Webhooks (Admin) ----------
+const maskSecret = t => t && { ...t, secret: t.secret ? '***' : null };
+
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => res.json(webhooks.list()));
+
+// { type: 'http' | 'discord', url, secret?, events?, contests?, enabled? } — the
+// generated secret of an http target is only shown in this response
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+  try {
+    const t = webhooks.add(req.body);
+    res.locals.auditAfter = maskSecret(t);
+    res.status(201).json(t);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get('/api/admin/webhooks/dead-letters', requireAdmin, (req, res) => res.json(webhooks.deadLetters()));
+app.delete('/api/admin/webhooks/dead-letters', requireAdmin, (req, res) => {
+  webhooks.clearDeadLetters();
+  res.json({ ok: true });
+});
+app.post('/api/admin/webhooks/dead-letters/:id/retry', requireAdmin, (req, res) => {
+  if (!webhooks.retryDeadLetter(req.params.id)) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  res.locals.auditBefore = maskSecret(webhooks.get(req.params.id));
+  try {
+    const t = webhooks.update(req.params.id, req.body);
+    if (!t) return res.status(404).json({ error: 'not_found' });
+    res.locals.auditAfter = maskSecret(t);
+    res.json(maskSecret(t));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  res.locals.auditBefore = maskSecret(webhooks.get(req.params.id));
+  if (!webhooks.remove(req.params.id)) return res.status(404).json({ error: 'not_found' });
+  res.json({ ok: true });
+});
+
+// sends a 'test' event once, no retries; { contest? } picks whose top 10 to show
+app.post('/api/admin/webhooks/:id/test', requireAdmin, async (req, res) => {
+  const c = req.body?.contest ? getContest(String(req.body.contest)) : defaultContest();
+  if (!c) return res.status(404).json({ error: 'contest_not_found' });
+  const result = await webhooks.test(req.params.id, c);
+  if (!result) return res.status(404).json({ error: 'not_found' });
+  res.status(result.ok ? 200 : 502).json(result);
+});
+
+// ---------- Quarantine (Admin) ----------
+app.get('/api/admin/quarantine', requireAdmin, (req, res) => res.json(quarantine.list()));
+
+app.get('/api/admin/quarantine/:id', requireAdmin, (req, res) => {
+  const q = quarantine.get(req.params.id);
+  if (!q) return res.status(404).json({ error: 'not_found' });
+  res.json(q);
+});
+
+// Accepting goes into history at the snapshot's own time and only replaces the
+// live board if nothing newer was published since. Decisions wait while a replay
+// runs: its snapshots are still being published in order.
+const noReplay = (req, res, next) => (REPLAY_FILE ? res.status(409).json({ error: 'replay in progress' }) : next());
+
+app.post('/api/admin/quarantine/:id/accept', requireAdmin, noReplay, (req, res) => {
+  try {
+    const q = quarantine.decide(req.params.id, 'accepted', req.admin.username);
+    if (!q) return res.status(404).json({ error: 'not_found' });
+    if (q.ts > (Date.parse(updatedAt) || 0)) {
+      applyBoard(stampChanges(sortPlayers(q.players), leaderboard, q.ts), { ts: q.ts });
+    } else {
+      appendHistorySnapshot(q.players, q.ts);
+      // updatedAt stays put, so the views keyed on it are dropped here
+      viewCache.clear();
+      timelineBoards.clear();
+      timelineCache.clear();
+      publishBoards();
+    }
+    res.locals.auditAfter = { id: q.id, status: q.status };
+    res.json({ ok: true, id: q.id, live: updatedAt === new Date(q.ts).toISOString() });
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
+
+app.post('/api/admin/quarantine/:id/reject', requireAdmin, noReplay, (req, res) => {
+  try {
+    const q = quarantine.decide(req.params.id, 'rejected', req.admin.username);
+    if (!q) return res.status(404).json({ error: 'not_found' });
+    res.locals.auditAfter = { id: q.id, status: q.status };
+    res.json({ ok: true, id: q.id });
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
+
+app.get('/api/admin/flags', requireAdmin, (req, res) => res.json(quarantine.flags(req.query.player)));
+app.delete('/api/admin/flags/:id', requireAdmin, (req, res) => {
+  quarantine.clearFlags(req.params.id);
+  res.json({ ok: true });
+});
+
+// ---------- Payouts (Admin) ----------
+app.get('/api/admin/payouts', requireAdmin, (req, res) => {
+  const { status, contest, player } = req.query;
+  res.json(payouts.list({ status, contest, playerId: player }));
+});
+
+app.get('/api/admin/payouts.csv', requireAdmin, (req, res) => {
+  const { status, contest, player } = req.query;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="payouts-${new Date().toISOString().slice(0,10)}.csv"`);
+  res.send(toCsv(payouts.list({ status, contest, playerId: player }), PAYOUT_CSV_COLUMNS));
+});
+
+// backfill records for an archive entry finalized before payouts existed
+app.post('/api/admin/payouts/generate', requireAdmin, (req, res) => {
+  const entry = archive.get(String(req.body?.archiveId ?? ''));
+  if (!entry) return res.status(404).json({ error: 'not_found' });
+  res.json(payouts.createFor(entry));
+});
+
+// { status: 'claimed' | 'paid' | 'void' | 'pending', note, txRef }
+app.post('/api/admin/payouts/:id', requireAdmin, (req, res) => {
+  const { status, note, txRef } = req.body || {};
+  res.locals.auditBefore = structuredClone(payouts.get(req.params.id));
+  try {
+    const rec = payouts.update(req.params.id, { status, note, txRef }, req.admin.username);
+    if (!rec) return res.status(404).json({ error: 'not_found' });
+    res.locals.auditAfter = rec;
+    res.json(rec);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// a provider fetch would land between replayed snapshots with today's date
+app.post('/api/admin/refresh', requireAdmin, noReplay, async (req, res) => {
   await refresh();
   res.json({ ok: true, count: leaderboard.length, updatedAt });
 });
 
-// IDs export
+// ---------- Exports (Admin) ----------
+// Every export takes ?format=csv|json|ndjson (default csv) and ?columns=a,b,c.
+function sendExport(req, res, rows, name, defaults) {
+  let out;
+  try {
+    out = renderExport(rows, { format: String(req.query.format || 'csv'), columns: parseColumns(req.query.columns, defaults) });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const stamp = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+  res.setHeader('Content-Type', out.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.${out.ext}"`);
+  res.send(out.body);
+}
+
+// Cached ID mapping with overrides applied (excluded players dropped, display names used).
+function exportIds(ids) {
+  const rows = ids?.rows || [];
+  const shown = overrides.decorateAll(rows.map(r => ({ id: r.id, name: r.name })));
+  return rows.flatMap((r, i) => (shown[i] ? [{ ...r, name: shown[i].name }] : []));
+}
+
+// Board rows with their prize and the cached Steam identity joined in by id. The prize
+// item goes out as its label, like in the payout ledger.
+function exportBoard(board, prizes) {
+  const ids = new Map((store.get('ids')?.rows || []).map(r => [r.id, r]));
+  const won = assignPrizes(board, prizes);
+  return board.map((u, i) => ({
+    ...u,
+    ...won[i],
+    item: won[i].item?.label ?? '',
+    uuid: u.identity?.uuid || ids.get(String(u.id))?.uuid || '',
+    steam64: u.identity?.steam64 || ids.get(String(u.id))?.steam64 || '',
+  }));
+}
+
+app.get(both('/leaderboard/export'), requireAdmin, withContest, (req, res) => {
+  const c = req.contest;
+  sendExport(req, res, exportBoard(contestView(c), c.prizes), `leaderboard-${c.slug}`, BOARD_COLUMNS);
+});
+
+app.get('/api/leaderboard/range/export', requireAdmin, (req, res) => {
+  const s = Date.parse(req.query.start ?? ''), e = Date.parse(req.query.end ?? '');
+  if (!Number.isFinite(s) || !Number.isFinite(e) || e < s) {
+    return res.status(400).json({ error: 'invalid range' });
+  }
+  const board = overrides.apply(computeWindowed(s, e), { lookup: findPlayer });
+  sendExport(req, res, exportBoard(board, null), 'range', ['rank', 'name', 'points']);
+});
+
+app.get('/api/archive/:id/export', requireAdmin, (req, res) => {
+  const entry = archive.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'not_found' });
+  sendExport(req, res, exportBoard(entry.standings, entry.prizes), `archive-${entry.id}`, BOARD_COLUMNS);
+});
+
+// ID mapping from the last refresh; ?live=1 asks the provider instead. Without
+// ?format it's the original plain-text list.
 app.get('/api/ids', requireAdmin, async (req, res) => {
   try {
-    const raw = await fetchAffiliateRaw();
-    const list = Array.isArray(raw) ? raw : [];
-
-    const pick = (obj, ...paths) => {
-      for (const p of paths) {
-        let cur = obj;
-        for (const seg of String(p).split('.')) {
-          if (cur && Object.prototype.hasOwnProperty.call(cur, seg)) cur = cur[seg];
-          else { cur = undefined; break; }
-        }
-        if (cur != null) return cur;
-      }
-      return undefined;
-    };
-
-    const BASE64 = 76561197960265728n;
-    function toSteam64({ steam64, steam2, steam3, accountId }) {
-      if (steam64 != null) {
-        const s = String(steam64).trim();
-        if (/^\d{17}$/.test(s)) return s;
-        try { const n = BigInt(s); if (n >= BASE64) return n.toString(); } catch {}
-      }
-      if (steam2) {
-        const s = String(steam2).trim();
-        const m = /^STEAM_[0-5]:([01]):(\d+)$/.exec(s);
-        if (m) {
-          const acct = BigInt(m[2]);
-          const universe = BigInt(m[1]);
-          return (BASE64 + acct * 2n + (universe === 1n ? 1n : 0n)).toString();
-        }
-      }
-      if (steam3) {
-        const s = String(steam3).trim();
-        const m = /^\[U:1:(\d+)\]$/.exec(s);
-        if (m) {
-          const acct = BigInt(m[1]);
-          return (BASE64 + acct).toString();
-        }
-      }
-      if (accountId != null && String(accountId).trim() !== '') {
-        try { const a = BigInt(String(accountId).trim()); return (BASE64 + a).toString(); } catch {}
-      }
-      return '';
+    let ids = store.get('ids');
+    if (!ids || req.query.live === '1') {
+      const { ids: rows, partial: truncated } = await fetchAffiliate();
+      ids = { partial: truncated, rows: uniqueIdRows(rows) };
     }
+    const unique = exportIds(ids);
+    if (ids.partial) res.setHeader('X-Partial-Export', '1');
+    if (req.query.format) return sendExport(req, res, unique, 'ids', ID_COLUMNS);
 
-    const mapped = list.map((u, i) => {
-      const name = pick(
-        u, 'name','username','displayName',
-        'user.name','user.username','user.displayName',
-        'profile.name','profile.username','profile.displayName'
-      ) ?? `Player ${i + 1}`;
-
-      const id = pick(
-        u, 'id','uuid','user_id','userId','userID','user','account_id',
-        'user.id','user.uuid','profile.id','profile.uuid'
-      );
-      const uuid = pick(u, 'uuid','user_uuid','user.uuid','profile.uuid');
-
-      const steam64Raw = pick(
-        u,
-        'steamid64','steam_id_64','steamId64',
-        'user.steamid64','user.steam_id_64','user.steamId64',
-        'profile.steamid64','profile.steam_id_64','profile.steamId64',
-        'steam.steamid64','steam.steam_id_64','steam.steamId64'
-      );
-      const steam2 = pick(
-        u,
-        'steamid','steam_id','steamId',
-        'user.steamid','user.steam_id','user.steamId',
-        'profile.steamid','profile.steam_id','profile.steamId',
-        'steam.id'
-      );
-      const steam3 = pick(
-        u,
-        'steamid3','steam_id3','steamId3',
-        'user.steamid3','user.steam_id3','user.steamId3',
-        'profile.steamid3','profile.steam_id3','profile.steamId3'
-      );
-      const accountId = pick(
-        u,
-        'accountId','account_id',
-        'user.accountId','user.account_id',
-        'profile.accountId','profile.account_id',
-        'steam.accountId','steam.account_id',
-        'profile.account_id','steam.account_id'
-      );
-
-      const steam64 = toSteam64({ steam64: steam64Raw, steam2, steam3, accountId });
-
-      return {
-        name: String(name),
-        id: String(id ?? i),
-        uuid: String(uuid ?? ''),
-        steam64: String(steam64 ?? '')
-      };
-    });
-
-    const seen = new Set();
-    const unique = [];
-    for (const r of mapped) {
-      const k = `${r.id}|${r.uuid}|${r.steam64}`;
-      if (seen.has(k)) continue;
-      seen.add(k);
-      unique.push(r);
-    }
     const lines = unique.map(r => `name: ${r.name} | id: ${r.id} | uuid: ${r.uuid} | 64id: ${r.steam64}`);
     const text = lines.join('\n');
 
@@ -1,31 +1,20 @@
 import axios from 'axios';
+import { loadProviders } from './providers/index.js';
+import { playerIdentity, idRow } from './steam.js';
+import { createHealth } from './health.js';
+import { numericMetrics } from './scoring.js';
 
-// Removed the specific API link. Leave it empty until you have your new API.
-const BASE = process.env.AFFILIATE_API || ''; 
-const CODE = process.env.AFFILIATE_CODE || '';
-const APIKEY = process.env.AFFILIATE_API_KEY || '';
-const BY = process.env.AFFILIATE_BY || 'wager';
-const SORT = process.env.AFFILIATE_SORT || 'desc';
-const TAKE = String(process.env.AFFILIATE_TAKE || '100');
-const SKIP = String(process.env.AFFILIATE_SKIP || '0');
-const GT = String(process.env.AFFILIATE_GT || '1672531200000');
 const CACHE_MS = Number(process.env.AFFILIATE_CACHE_MS || 60000);
+const MAX_PAGES = Number(process.env.AFFILIATE_MAX_PAGES || 50);
+
+const providers = loadProviders();
+const health = createHealth();
 
 const cache = new Map();
 function ttlGet(k){const h=cache.get(k);if(!h)return null;if(h.exp<Date.now()){cache.delete(k);return null}return h.val}
 function ttlSet(k,v,ms){cache.set(k,{val:v,exp:Date.now()+ms})}
 function sleep(ms){return new Promise(r=>setTimeout(r,ms))}
 
-function toPlayers(raw){
-  if(!Array.isArray(raw)) return [];
-  return raw.map((u,i)=>({
-    id: String(u.uuid || u.id || i),
-    name: String(u.name || u.username || `Player ${i+1}`),
-    avatar: u.steam_avatar || null,
-    points: Number(u.wagered ?? u.wager ?? u.points ?? 0)
-  }));
-}
-
 // Generates fake data for testing so your frontend isn't blank
 function getDummyData() {
   return [
@@ -38,28 +27,56 @@ function getDummyData() {
   ];
 }
 
-export async function fetchAffiliateRaw() {
-  // Use dummy data if API isn't set up yet
-  if (!BASE || !APIKEY || !CODE) return getDummyData(); 
+function activeProviders() {
+  return providers.filter(p => p.configured);
+}
+
+export function listProviders() {
+  return providers.map(p => ({ name: p.name, type: p.type, configured: p.configured, ...(p.faults && { faults: p.faults() }) }));
+}
 
-  const lt = String(Date.now());
-  const qs = new URLSearchParams({ code: CODE, gt: GT, lt, by: BY, sort: SORT, take: TAKE, skip: SKIP }).toString();
-  const url = `${BASE}?${qs}`;
-  const cached = ttlGet(url + ':raw'); if (cached) return cached;
+// Changes injected faults on a provider that supports them (the simulator); null otherwise.
+export function setProviderFaults(name, faults) {
+  const p = providers.find(x => x.name === name);
+  return p?.setFaults ? p.setFaults(faults) : null;
+}
+
+// Health of every provider that has been called, see health.js.
+export function providerHealth() {
+  return health.snapshot();
+}
+
+// Ids of every provider after the first in the config are namespaced (`<name>:<id>`) so
+// two sites can't collide. The first one keeps plain ids, so adding a provider later
+// doesn't orphan existing history, overrides, payouts and flags.
+// `metrics` keeps every number the provider sent (or what its config maps), for scoring.
+function toPlayers(provider, raw, namespaced) {
+  if (!Array.isArray(raw)) return [];
+  return raw.map((u, i) => {
+    const p = provider.toPlayer(u, i);
+    return {
+      ...p,
+      id: namespaced ? `${provider.name}:${p.id}` : p.id,
+      provider: provider.name,
+      identity: playerIdentity(u),
+      metrics: provider.metrics?.(u) ?? numericMetrics(u)
+    };
+  });
+}
 
+// One page with the 429/5xx backoff. Returns null once retries are exhausted.
+async function getPage(provider, page) {
+  const { url, headers } = provider.request(page);
   for (let a = 0; a < 5; a++) {
+    const t0 = Date.now();
     try {
-      const res = await axios.get(url, {
-        headers: { 'x-apikey': APIKEY, accept: 'application/json' },
-        timeout: 15000
-      });
-      const payload = Array.isArray(res.data)
-        ? res.data
-        : (res.data && Array.isArray(res.data.data) ? res.data.data : []);
-      ttlSet(url + ':raw', payload, CACHE_MS);
-      return payload;
+      const res = provider.fetch ? await provider.fetch(page) : await axios.get(url, { headers, timeout: 15000 });
+      health.request(provider.name, { status: res.status, ms: Date.now() - t0 });
+      health.success(provider.name);
+      return provider.rows(res.data);
     } catch (e) {
       const s = e?.response?.status || 0;
+      health.request(provider.name, { status: s, ms: Date.now() - t0 });
       if (s === 429 || (s >= 500 && s < 600)) {
         const ra = e?.response?.headers?.['retry-after'];
         const base = ra ? Number(ra) * 1000 : Math.min(15000, 600 * (2 ** a));
@@ -67,33 +84,68 @@ export async function fetchAffiliateRaw() {
         await sleep(base + jitter);
         continue;
       }
-      return [];
+      console.warn(`[affiliates] ${provider.name} page ${page} failed:`, s || e?.message || e);
+      health.failure(provider.name, s ? `HTTP ${s}` : (e?.message || e));
+      return null;
     }
   }
-  return [];
+  console.warn(`[affiliates] ${provider.name} page ${page} gave up after retries`);
+  health.failure(provider.name, 'retries exhausted');
+  return null;
 }
 
-export async function fetchAffiliate() {
-  // Use dummy data if API isn't set up yet
-  if (!BASE || !APIKEY || !CODE) return getDummyData(); 
-
-  const lt = String(Date.now());
-  const qs = new URLSearchParams({ code: CODE, gt: GT, lt, by: BY, sort: SORT, take: TAKE, skip: SKIP }).toString();
-  const url = `${BASE}?${qs}`;
-  const cached = ttlGet(url + ':players'); if (cached) return cached;
-
-  try {
-    const res = await axios.get(url, {
-      headers: { 'x-apikey': APIKEY, accept: 'application/json' },
-      timeout: 15000
+// Walks pages until the provider returns a short page. `partial` is set when a
+// page failed or MAX_PAGES was hit with more data still coming.
+async function getAllRows(provider) {
+  const key = provider.name + ':rows';
+  const cached = ttlGet(key); if (cached) return cached;
+  if (!health.allow(provider.name)) {
+    console.warn(`[affiliates] ${provider.name} skipped: circuit open`);
+    return { rows: [], partial: true };
+  }
+
+  const seen = new Set();
+  const rows = [];
+  let partial = true;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const batch = await getPage(provider, page);
+    if (!batch) break;
+
+    // drop rows an earlier page already returned (pages shift as rankings move);
+    // duplicates within one page are a provider glitch and are left for validation
+    let fresh = 0;
+    const offset = rows.length;
+    const ids = batch.map((u, i) => provider.toPlayer(u, offset + i).id);
+    batch.forEach((u, i) => {
+      if (seen.has(ids[i])) return;
+      rows.push(u);
+      fresh++;
     });
-    const payload = Array.isArray(res.data)
-      ? res.data
-      : (res.data && Array.isArray(res.data.data) ? res.data.data : []);
-    const players = toPlayers(payload);
-    ttlSet(url + ':players', players, CACHE_MS);
-    return players;
-  } catch {
-    return [];
+    ids.forEach(id => seen.add(id));
+    // short page, or a provider that ignores paging and repeats itself
+    if (batch.length < provider.pageSize || !fresh) { partial = false; break; }
+  }
+  if (partial) console.warn(`[affiliates] ${provider.name} partial fetch: ${rows.length} rows`);
+
+  const result = { rows, partial };
+  if (!partial) ttlSet(key, result, CACHE_MS);
+  return result;
+}
+
+// Normalized players, plus their ID mapping rows ({ name, id, uuid, steam64 }, see steam.idRow).
+export async function fetchAffiliate() {
+  const list = activeProviders();
+  // Use dummy data if no API is set up yet
+  if (!list.length) {
+    const players = getDummyData().map(u => ({ ...u, identity: playerIdentity(u), metrics: numericMetrics(u) }));
+    return { players, ids: players.map(idRow), partial: false };
+  }
+
+  const out = { players: [], partial: false };
+  for (const p of list) {
+    const { rows, partial } = await getAllRows(p);
+    out.players.push(...toPlayers(p, rows, providers.indexOf(p) > 0));
+    out.partial ||= partial;
   }
+  return { ...out, ids: out.players.map(idRow) };
 }
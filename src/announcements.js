@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { isSafeUrl } from './hero.js';
+
+// Announcements under 'announcements'. Several can be live at once:
+//
+// {
+//   "id": "a1b2c3d4", "contest": "weekly" | null,   // null = shown on every contest
+//   "text": "Double points this weekend!", "severity": "info",
+//   "startsAt": ISO | null, "expiresAt": ISO | null,
+//   "link": { "url": "https://...", "text": "Details" } | null,
+//   "dismissible": true, "pinned": false
+// }
+//
+// Active ones are ordered pinned first, then by severity, then newest first.
+export const SEVERITIES = ['info', 'success', 'warning', 'critical'];
+const MAX_TEXT = 500;
+
+const time = v => (v ? Date.parse(v) : NaN);
+
+function validate(input, existing) {
+  const a = { ...existing };
+  if (input.text !== undefined || !existing) {
+    const text = String(input.text ?? '').trim();
+    if (!text || text.length > MAX_TEXT) throw new Error(`text required, at most ${MAX_TEXT} characters`);
+    a.text = text;
+  }
+  if (input.severity !== undefined) {
+    if (!SEVERITIES.includes(input.severity)) throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    a.severity = input.severity;
+  }
+  for (const k of ['startsAt', 'expiresAt']) {
+    if (input[k] === undefined) continue;
+    if (input[k] === null || input[k] === '') { a[k] = null; continue; }
+    if (!Number.isFinite(time(input[k]))) throw new Error(`${k} must be an ISO date or null`);
+    a[k] = new Date(input[k]).toISOString();
+  }
+  if (a.startsAt && a.expiresAt && time(a.expiresAt) <= time(a.startsAt)) throw new Error('expiresAt must be after startsAt');
+  if (input.link !== undefined) {
+    const url = typeof input.link === 'string' ? input.link : input.link?.url;
+    if (!url) a.link = null;
+    else {
+      if (!isSafeUrl(String(url))) throw new Error('link must be a /path or an http(s) URL');
+      a.link = { url: String(url), text: String(input.link?.text ?? input.linkText ?? '').slice(0, 80) || null };
+    }
+  }
+  if (input.dismissible !== undefined) a.dismissible = Boolean(input.dismissible);
+  if (input.pinned !== undefined) a.pinned = Boolean(input.pinned);
+  a.severity ??= 'info';
+  a.startsAt ??= null;
+  a.expiresAt ??= null;
+  a.link ??= null;
+  a.dismissible ??= true;
+  a.pinned ??= false;
+  return a;
+}
+
+export function isActive(a, now = Date.now()) {
+  return !(time(a.startsAt) > now) && !(time(a.expiresAt) <= now);
+}
+
+function compare(a, b) {
+  return (b.pinned - a.pinned)
+    || (SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity))
+    || ((time(b.startsAt) || time(b.createdAt)) - (time(a.startsAt) || time(a.createdAt)));
+}
+
+export function createAnnouncements(store) {
+  const all = () => store.get('announcements', []);
+
+  return {
+    list({ contest } = {}) {
+      const list = all();
+      return contest === undefined ? list : list.filter(a => a.contest === contest);
+    },
+
+    get(id) {
+      return all().find(a => a.id === id) || null;
+    },
+
+    // What a contest shows right now, best first.
+    active(slug, now = Date.now()) {
+      return all()
+        .filter(a => (a.contest == null || a.contest === slug) && isActive(a, now))
+        .sort(compare);
+    },
+
+    add(input, by, id = crypto.randomBytes(4).toString('hex')) {
+      const now = new Date().toISOString();
+      const a = {
+        id,
+        contest: input?.contest ? String(input.contest) : null,
+        ...validate(input || {}),
+        createdAt: now,
+        createdBy: by ?? null,
+        updatedAt: now,
+      };
+      store.set('announcements', [...all().filter(x => x.id !== id), a]);
+      return a;
+    },
+
+    update(id, input) {
+      const list = all();
+      const i = list.findIndex(a => a.id === id);
+      if (i < 0) return null;
+      list[i] = { ...validate(input || {}, list[i]), updatedAt: new Date().toISOString() };
+      if (input?.contest !== undefined) list[i].contest = input.contest ? String(input.contest) : null;
+      store.set('announcements', list);
+      return list[i];
+    },
+
+    remove(id) {
+      const list = all();
+      if (!list.some(a => a.id === id)) return false;
+      store.set('announcements', list.filter(a => a.id !== id));
+      return true;
+    },
+  };
+}
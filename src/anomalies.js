@@ -0,0 +1,127 @@
+// Sanity checks between a freshly fetched board and the last published one, plus
+// the quarantine where suspicious snapshots wait for an admin decision.
+//
+// Issue types:
+//   duplicate_id       the same id appears more than once
+//   decrease           a lifetime total went down
+//   jump               a player gained more than maxJumpPerHour allows for the elapsed time
+//   identity_changed   an id now carries another id's previous name (swapped ids)
+//   mass_rename        more than maxRenameShare of the board (and at least 3) renamed at once
+//   count_drop         the board shrank by more than maxCountDrop (a fraction)
+const HOUR_MS = 60 * 60 * 1000;
+const QUARANTINE_MAX = 20;
+
+export function anomalyConfig(env = process.env) {
+  return {
+    enabled: env.ANOMALY_DETECTION !== 'off',
+    maxJumpPerHour: Number(env.ANOMALY_MAX_JUMP_PER_HOUR || 1_000_000),
+    maxCountDrop: Number(env.ANOMALY_MAX_COUNT_DROP || 0.2),
+    decreaseTolerance: Number(env.ANOMALY_DECREASE_TOLERANCE || 0),
+    maxRenameShare: Number(env.ANOMALY_MAX_RENAME_SHARE || 0.1),
+  };
+}
+
+export function detectAnomalies(next, prev, { elapsedMs, maxJumpPerHour, maxCountDrop, decreaseTolerance, maxRenameShare = 0.1 }) {
+  const issues = [];
+  const seen = new Set();
+  for (const u of next) {
+    const id = String(u.id);
+    if (seen.has(id)) issues.push({ type: 'duplicate_id', id });
+    seen.add(id);
+  }
+
+  if (prev?.length) {
+    const before = new Map(prev.map(u => [String(u.id), u]));
+    const idByName = new Map(prev.filter(u => u.name).map(u => [u.name, String(u.id)]));
+    const allowance = maxJumpPerHour * Math.max(1, elapsedMs / HOUR_MS);
+    let renames = 0;
+    for (const u of next) {
+      const old = before.get(String(u.id));
+      if (!old) continue;
+      const delta = (Number(u.points) || 0) - (Number(old.points) || 0);
+      if (delta < -decreaseTolerance) issues.push({ type: 'decrease', id: String(u.id), from: old.points, to: u.points });
+      else if (delta > allowance) issues.push({ type: 'jump', id: String(u.id), from: old.points, to: u.points });
+      if (!old.name || !u.name || old.name === u.name) continue;
+      // a plain rename is normal; taking over a name another id had is not
+      renames++;
+      const other = idByName.get(u.name);
+      if (other && other !== String(u.id)) issues.push({ type: 'identity_changed', id: String(u.id), from: old.name, to: u.name, swappedWith: other });
+    }
+    if (renames >= 3 && renames > prev.length * maxRenameShare) {
+      issues.push({ type: 'mass_rename', from: prev.length, to: renames });
+    }
+    if (next.length < prev.length * (1 - maxCountDrop)) {
+      issues.push({ type: 'count_drop', from: prev.length, to: next.length });
+    }
+  }
+  return issues;
+}
+
+// Quarantined snapshots live under 'quarantine', per-player flags under 'playerFlags'.
+// Flags are keyed by provider ids, so they're read into a prototype-less object.
+export function createQuarantine(store) {
+  const all = () => store.get('quarantine', []);
+  const allFlags = () => Object.assign(Object.create(null), store.get('playerFlags', {}));
+
+  return {
+    // `ts` is when the snapshot was taken (a replayed one carries its recorded time)
+    add(players, issues, ts = Date.now()) {
+      const entry = {
+        id: `q-${Date.now().toString(36)}`,
+        ts,
+        status: 'pending',
+        issues,
+        count: players.length,
+        players,
+      };
+      // keep the newest pending snapshots; decided ones are only kept for reference
+      // and go first when the list is full
+      const list = [entry, ...all()];
+      while (list.length > QUARANTINE_MAX) {
+        const i = list.findLastIndex(q => q.status !== 'pending');
+        list.splice(i >= 0 ? i : list.length - 1, 1);
+      }
+      store.set('quarantine', list);
+
+      const flags = allFlags();
+      for (const i of issues) {
+        if (!i.id) continue;
+        (flags[i.id] ||= []).push({ ts: entry.ts, snapshot: entry.id, type: i.type, from: i.from ?? null, to: i.to ?? null });
+        flags[i.id] = flags[i.id].slice(-50);
+      }
+      store.set('playerFlags', flags);
+      return entry;
+    },
+
+    list() {
+      return all().map(({ players, ...rest }) => rest);
+    },
+
+    get(id) {
+      return all().find(q => q.id === id) || null;
+    },
+
+    decide(id, status, by) {
+      const list = all();
+      const q = list.find(x => x.id === id);
+      if (!q) return null;
+      if (q.status !== 'pending') throw new Error(`already ${q.status}`);
+      q.status = status;
+      q.decidedBy = by;
+      q.decidedAt = new Date().toISOString();
+      store.set('quarantine', list);
+      return q;
+    },
+
+    flags(playerId) {
+      const flags = allFlags();
+      return playerId ? { [playerId]: flags[playerId] || [] } : flags;
+    },
+
+    clearFlags(playerId) {
+      const flags = allFlags();
+      delete flags[playerId];
+      store.set('playerFlags', flags);
+    },
+  };
+}
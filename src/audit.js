@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+
+// Append-only audit trail of mutating admin calls, one JSON object per line.
+const SECRET_KEYS = /pass(word)?|token|secret|key$/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEYS.test(k) ? '[redacted]' : redact(v)]));
+}
+
+export function createAuditLog(dir) {
+  const file = path.join(dir, 'audit.ndjson');
+
+  return {
+    append(entry) {
+      try {
+        fs.appendFileSync(file, JSON.stringify({ ts: new Date().toISOString(), ...entry, body: redact(entry.body) }) + '\n', 'utf8');
+      } catch (e) {
+        console.warn('[audit] append failed:', e?.message || e);
+      }
+    },
+
+    // Newest first.
+    read({ limit = 100, user, since } = {}) {
+      if (!fs.existsSync(file)) return [];
+      const sinceMs = since ? Date.parse(since) : NaN;
+      const out = [];
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i]) continue;
+        let e;
+        try { e = JSON.parse(lines[i]); } catch { continue; }
+        if (Number.isFinite(sinceMs) && Date.parse(e.ts) < sinceMs) break;
+        if (user && e.user !== user) continue;
+        out.push(e);
+      }
+      return out;
+    },
+  };
+}
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+
+// Admin accounts, sessions and API keys.
+//
+// Accounts live in the store under 'admins'. Passwords are scrypt hashes, API keys
+// and session tokens are only kept as sha256 digests. Sessions are in memory, so a
+// restart logs everyone out; API keys survive.
+//
+// Roles: 'owner' can do everything, 'editor' only hero and announcements.
+export const ROLES = ['editor', 'owner'];
+const SESSION_MS = Number(process.env.ADMIN_SESSION_MS || 12 * 60 * 60 * 1000);
+
+const sha256 = s => crypto.createHash('sha256').update(String(s)).digest();
+
+// Constant-time string comparison (hashing first evens out lengths).
+export function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || '').split(':');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), 64);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+export function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+const publicUser = u => ({
+  username: u.username,
+  role: u.role,
+  createdAt: u.createdAt,
+  keys: (u.keys || []).map(k => ({ id: k.id, label: k.label, createdAt: k.createdAt })),
+});
+
+export function createAuth({ store, legacyToken = '' }) {
+  const sessions = new Map(); // sha256(token) hex -> { username, exp }
+  const users = () => store.get('admins', []);
+  const saveUsers = list => store.set('admins', list);
+  const findUser = username => users().find(u => u.username === username) || null;
+
+  function validate(username, password, role) {
+    if (!/^[a-zA-Z0-9_.-]{2,32}$/.test(String(username || ''))) throw new Error('invalid username');
+    if (password != null && String(password).length < 10) throw new Error('password must be at least 10 characters');
+    if (role != null && !ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  }
+
+  return {
+    // Resolves the caller from `Authorization: Bearer <session|api key>` or the
+    // legacy `x-admin-token` header (which also accepts sessions and keys).
+    authenticate(req) {
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+      const token = bearer || req.get('x-admin-token') || '';
+      if (!token) return null;
+
+      if (legacyToken && safeEqual(token, legacyToken)) return { username: 'admin-token', role: 'owner', via: 'token' };
+
+      const digest = sha256(token).toString('hex');
+      const s = sessions.get(digest);
+      if (s) {
+        if (s.exp < Date.now()) { sessions.delete(digest); return null; }
+        const u = findUser(s.username);
+        return u ? { username: u.username, role: u.role, via: 'session' } : null;
+      }
+
+      const m = /^trk_([a-f0-9]{8})_[a-f0-9]{48}$/.exec(token);
+      if (m) {
+        for (const u of users()) {
+          const key = (u.keys || []).find(k => k.id === m[1]);
+          if (key && safeEqual(digest, key.hash)) return { username: u.username, role: u.role, via: 'key' };
+        }
+      }
+      return null;
+    },
+
+    login(username, password) {
+      const u = findUser(String(username || ''));
+      // hash anyway so unknown users take as long as wrong passwords
+      const ok = verifyPassword(password, u?.passwordHash ?? hashPassword('x'));
+      if (!u || !ok) return null;
+      const token = crypto.randomBytes(32).toString('hex');
+      const exp = Date.now() + SESSION_MS;
+      sessions.set(sha256(token).toString('hex'), { username: u.username, exp });
+      return { token, role: u.role, expiresAt: new Date(exp).toISOString() };
+    },
+
+    logout(req) {
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1] || req.get('x-admin-token') || '';
+      sessions.delete(sha256(bearer).toString('hex'));
+    },
+
+    // First owner from ADMIN_USERNAME/ADMIN_PASSWORD when no account exists yet.
+    bootstrap(username, password) {
+      if (!username || !password || users().length) return;
+      this.createUser({ username, password, role: 'owner' });
+      console.log(`[auth] created owner account "${username}"`);
+    },
+
+    listUsers() {
+      return users().map(publicUser);
+    },
+
+    getUser(username) {
+      const u = findUser(username);
+      return u ? publicUser(u) : null;
+    },
+
+    createUser({ username, password, role = 'editor' }) {
+      validate(username, password ?? '', role);
+      if (findUser(username)) throw new Error('user exists');
+      const u = { username, role, passwordHash: hashPassword(password), keys: [], createdAt: new Date().toISOString() };
+      saveUsers([...users(), u]);
+      return publicUser(u);
+    },
+
+    updateUser(username, { password, role }) {
+      validate(username, password, role);
+      const list = users();
+      const u = list.find(x => x.username === username);
+      if (!u) return null;
+      if (role && role !== 'owner' && u.role === 'owner' && list.filter(x => x.role === 'owner').length === 1) {
+        throw new Error('cannot demote the last owner');
+      }
+      if (password != null) u.passwordHash = hashPassword(password);
+      if (role) u.role = role;
+      saveUsers(list);
+      if (password != null) {
+        for (const [k, s] of sessions) if (s.username === username) sessions.delete(k);
+      }
+      return publicUser(u);
+    },
+
+    deleteUser(username) {
+      const list = users();
+      const u = list.find(x => x.username === username);
+      if (!u) return false;
+      if (u.role === 'owner' && list.filter(x => x.role === 'owner').length === 1) {
+        throw new Error('cannot delete the last owner');
+      }
+      saveUsers(list.filter(x => x !== u));
+      for (const [k, s] of sessions) if (s.username === username) sessions.delete(k);
+      return true;
+    },
+
+    // Returns the plain key once; only its digest is stored.
+    createKey(username, label = '') {
+      const list = users();
+      const u = list.find(x => x.username === username);
+      if (!u) return null;
+      const id = crypto.randomBytes(4).toString('hex');
+      const key = `trk_${id}_${crypto.randomBytes(24).toString('hex')}`;
+      u.keys = [...(u.keys || []), { id, label: String(label).slice(0, 64), hash: sha256(key).toString('hex'), createdAt: new Date().toISOString() }];
+      saveUsers(list);
+      return { id, key, label };
+    },
+
+    deleteKey(username, id) {
+      const list = users();
+      const u = list.find(x => x.username === username);
+      if (!u || !(u.keys || []).some(k => k.id === id)) return false;
+      u.keys = u.keys.filter(k => k.id !== id);
+      saveUsers(list);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,121 @@
+import { fromArray } from './prizes.js';
+
+// Contest registry. Each contest is addressed by slug and carries its own window,
+// prizes, countdown, hero and announcement. The default contest backs the legacy
+// un-prefixed routes (/api/leaderboard, /api/prizes, ...).
+export const DEFAULT_SLUG = process.env.DEFAULT_CONTEST || 'default';
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+export const DEFAULT_PRIZES = [175, 100, 70, 50, 35, 25, 15, 10, 10, 10];
+
+export function defaultHero() {
+  return {
+    headline: '$ 500 CSGOWIN WAGER LEADERBOARD',
+    sub1: 'Leaderboard ended, to claim the prize open the ticket on discord',
+    sub2: 'The leaderboard updates every 30 minutes.',
+    linkText: process.env.HERO_LINK_TEXT || '',
+    linkUrl: process.env.HERO_LINK_URL || '',
+    headlineColor: '#ffffff',
+    sub1Color: '#cbd5e1',
+    sub2Color: '#cbd5e1',
+    headlineGlow: '0 0 12px rgba(255,255,255,0.8)',
+    imageUrl: process.env.HERO_IMAGE_URL ||'',
+    imageGlow: 'drop-shadow(0 0 16px rgba(251, 255, 0, 0.65))',
+    coinImageUrl: undefined,
+    imageAsset: null,      // media library ids behind imageUrl / coinImageUrl
+    coinImageAsset: null,
+  };
+}
+
+const contests = new Map();
+
+export function isValidSlug(slug) {
+  return typeof slug === 'string' && SLUG_RE.test(slug);
+}
+
+function makeContest(slug, init = {}) {
+  return {
+    slug,
+    title: init.title || slug,
+    start: init.start ?? null,                 // ISO string or null
+    end: init.end ?? null,                     // ISO string or null
+    countdownEnd: init.countdownEnd ?? null,
+    prizes: init.prizes ?? fromArray(DEFAULT_PRIZES), // prize table, see prizes.js
+    scoring: init.scoring ?? null,             // ranking formula and tie-breaks, see scoring.js; null = points
+    eligibility: init.eligibility ?? null,     // who may place, see eligibility.js; null = everyone
+    announcement: init.announcement || '',     // legacy; moved into the announcements list on load
+    hero: { ...defaultHero(), ...(init.hero || {}) }, // merge, keep fields added later
+    heroSchedule: init.heroSchedule ?? [],     // scheduled hero preset switches, see runHeroSchedule()
+    frozen: init.frozen ?? null,               // { at, data } once the countdown has passed
+    recurrence: init.recurrence ?? null,       // see lifecycle.js; rolls over to the next period when set
+    finalizedAt: init.finalizedAt ?? null,     // set once a one-off contest has been archived
+  };
+}
+
+export function getContest(slug) {
+  return contests.get(slug) || null;
+}
+
+export function defaultContest() {
+  return contests.get(DEFAULT_SLUG);
+}
+
+export function listContests() {
+  return [...contests.values()];
+}
+
+export function addContest(slug, init = {}) {
+  if (!isValidSlug(slug)) throw new Error('invalid slug');
+  if (contests.has(slug)) throw new Error('contest exists');
+  const c = makeContest(slug, init);
+  contests.set(slug, c);
+  return c;
+}
+
+export function removeContest(slug) {
+  if (slug === DEFAULT_SLUG) return false;
+  return contests.delete(slug);
+}
+
+// Valid [start,end] window in ms, or null when the contest ranks lifetime points.
+export function contestWindow(c) {
+  if (!c?.start || !c?.end) return null;
+  const s = Date.parse(c.start), e = Date.parse(c.end);
+  if (!Number.isFinite(s) || !Number.isFinite(e) || e < s) return null;
+  return { start: s, end: e };
+}
+
+export function isEnded(c, now = Date.now()) {
+  return Boolean(c?.countdownEnd) && now > new Date(c.countdownEnd).getTime();
+}
+
+export function publicContest(c, now = Date.now()) {
+  return {
+    slug: c.slug,
+    title: c.title,
+    start: c.start,
+    end: c.end,
+    countdownEnd: c.countdownEnd,
+    recurrence: c.recurrence,
+    scoring: c.scoring,
+    eligibility: c.eligibility,
+    ended: isEnded(c, now),
+  };
+}
+
+export function serializeContests() {
+  return listContests().map(c => ({ ...c }));
+}
+
+export function loadContests(list = []) {
+  contests.clear();
+  for (const c of Array.isArray(list) ? list : []) {
+    if (isValidSlug(c?.slug)) contests.set(c.slug, makeContest(c.slug, c));
+  }
+  if (!contests.has(DEFAULT_SLUG)) {
+    contests.set(DEFAULT_SLUG, makeContest(DEFAULT_SLUG, {
+      countdownEnd: process.env.COUNTDOWN_END ? new Date(process.env.COUNTDOWN_END).toISOString() : null,
+      announcement: process.env.ANNOUNCEMENT || '',
+    }));
+  }
+}
@@ -0,0 +1,92 @@
+// Per-contest eligibility rules (contest.eligibility), checked whenever a board is built:
+//
+// {
+//   "minPoints": 1000,                  // score needed to place (points, or the scoring formula's score)
+//   "minMetrics": { "wagered": 1000 },  // metric gains in the window, see scoring.js
+//   "referredBefore": "start" | ISO,    // referral date must be before this; "start" = contest start
+//   "onePrizePerSteam": true,           // alts sharing a steam64: only the best placed one can place
+//   "ineligible": "mark" | "hide"       // mark: listed after everyone eligible with reasons, no prize;
+// }                                     // hide: left off the board (still in the admin report)
+//
+// The referral date is the provider's joinedAt when it sends one, else when the player
+// first showed up in history here. Unknown dates fail the referredBefore rule.
+const MODES = ['mark', 'hide'];
+const MAX_METRICS = 20;
+
+const fmt = n => (Math.round(n * 100) / 100).toLocaleString('en-US');
+
+export function normalizeEligibility(input) {
+  if (input == null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('eligibility must be an object or null');
+  const rules = { ineligible: input.ineligible ?? 'mark' };
+  if (!MODES.includes(rules.ineligible)) throw new Error(`ineligible must be one of: ${MODES.join(', ')}`);
+
+  if (input.minPoints != null) {
+    const n = Number(input.minPoints);
+    if (!Number.isFinite(n) || n < 0) throw new Error('minPoints must be a non-negative number');
+    rules.minPoints = n;
+  }
+  if (input.minMetrics != null) {
+    const entries = Object.entries(input.minMetrics);
+    if (!entries.length || entries.length > MAX_METRICS) throw new Error(`minMetrics needs 1-${MAX_METRICS} metrics`);
+    rules.minMetrics = {};
+    for (const [k, v] of entries) {
+      const n = Number(v);
+      if (!/^[\w.-]{1,64}$/.test(k)) throw new Error(`minMetrics: invalid metric name "${k}"`);
+      if (!Number.isFinite(n)) throw new Error(`minMetrics.${k} must be a number`);
+      rules.minMetrics[k] = n;
+    }
+  }
+  if (input.referredBefore != null) {
+    const v = input.referredBefore;
+    if (v !== 'start' && !Number.isFinite(Date.parse(v))) throw new Error('referredBefore must be "start" or an ISO date');
+    rules.referredBefore = v === 'start' ? 'start' : new Date(v).toISOString();
+  }
+  if (input.onePrizePerSteam) rules.onePrizePerSteam = true;
+
+  return Object.keys(rules).length > 1 ? rules : null;
+}
+
+// Checks every row of a ranked board. `ctx`:
+//   start     contest start (ISO) for referredBefore: "start"
+//   player    id -> current provider row ({ identity, joinedAt }) or null
+//   firstSeen id -> ms of the first history snapshot with the player, or null
+// Returns the board to serve and the excluded rows ({ id, name, points, position, reasons }).
+export function checkEligibility(board, rules, { start = null, player = () => null, firstSeen = () => null } = {}) {
+  if (!rules) return { board, excluded: [] };
+  const cutoff = rules.referredBefore === 'start' ? Date.parse(start ?? '') : Date.parse(rules.referredBefore ?? '');
+  const steamOwner = new Map();
+  const ok = [];
+  const excluded = [];
+  const marked = [];
+
+  (board || []).forEach((u, i) => {
+    const id = String(u.id);
+    const p = player(id);
+    const reasons = [];
+    if (rules.minPoints != null && !((Number(u.points) || 0) >= rules.minPoints)) {
+      reasons.push(`points ${fmt(Number(u.points) || 0)} below ${fmt(rules.minPoints)}`);
+    }
+    for (const [k, min] of Object.entries(rules.minMetrics || {})) {
+      const v = Number(u.metrics?.[k]) || 0;
+      if (v < min) reasons.push(`${k} ${fmt(v)} below ${fmt(min)}`);
+    }
+    if (rules.referredBefore && Number.isFinite(cutoff)) {
+      const joined = Date.parse(p?.joinedAt ?? '') || firstSeen(id);
+      if (!joined) reasons.push('referral date unknown');
+      else if (joined >= cutoff) reasons.push(`referred ${new Date(joined).toISOString()}, after ${new Date(cutoff).toISOString()}`);
+    }
+    const steam64 = u.identity?.steam64 ?? p?.identity?.steam64;
+    if (rules.onePrizePerSteam && steam64 && !reasons.length) {
+      const owner = steamOwner.get(steam64);
+      if (owner) reasons.push(`same steam64 as ${owner.name} (${owner.id})`);
+      else steamOwner.set(steam64, { id, name: u.name });
+    }
+
+    if (!reasons.length) return ok.push(u);
+    excluded.push({ id, name: u.name, points: Number(u.points) || 0, position: i + 1, reasons });
+    if (rules.ineligible === 'mark') marked.push({ ...u, ineligible: reasons });
+  });
+
+  return { board: [...ok, ...marked], excluded };
+}
@@ -0,0 +1,38 @@
+import { toCsv } from './util.js';
+
+// Structured exports of any list of rows — leaderboards, range windows, archived
+// standings and the ID mapping — as CSV, JSON (one array) or NDJSON (one row per line).
+// Rows are projected onto the requested columns; missing values come out as null/empty.
+export const EXPORT_FORMATS = {
+  csv:    { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  json:   { type: 'application/json; charset=utf-8', ext: 'json' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+};
+
+export const EXPORT_COLUMNS = [
+  'rank', 'id', 'name', 'points', 'prize', 'item', 'steam64', 'uuid',
+  'avatar', 'previousRank', 'pointsDelta', 'adjustment', 'provider',
+];
+
+export const BOARD_COLUMNS = ['rank', 'name', 'points', 'prize'];
+export const ID_COLUMNS = ['name', 'id', 'uuid', 'steam64'];
+
+// `?columns=rank,name,steam64` → validated list; unknown names throw.
+export function parseColumns(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const cols = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  const bad = cols.filter(c => !EXPORT_COLUMNS.includes(c));
+  if (bad.length) throw new Error(`unknown column(s): ${bad.join(', ')}`);
+  return cols.length ? [...new Set(cols)] : fallback;
+}
+
+export function renderExport(rows, { format = 'csv', columns }) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const picked = (rows || []).map(r => Object.fromEntries(columns.map(c => [c, r[c] ?? null])));
+  let body;
+  if (format === 'csv') body = toCsv(picked, columns);
+  else if (format === 'ndjson') body = picked.map(r => JSON.stringify(r)).join('\n') + (picked.length ? '\n' : '');
+  else body = JSON.stringify(picked);
+  return { body, type: f.type, ext: f.ext };
+}
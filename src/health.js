@@ -0,0 +1,82 @@
+// Per-provider health: request status mix and latency, last success/failure,
+// consecutive failed pages and a circuit breaker. After `threshold` failed pages
+// in a row the circuit opens and the provider is skipped for `cooldownMs`; the
+// next fetch after that is a trial (half-open) that closes it again on success.
+const statusClass = s => (!s ? 'network' : s === 429 ? '429' : `${String(s)[0]}xx`);
+
+export function createHealth({
+  threshold = Number(process.env.PROVIDER_BREAKER_THRESHOLD || 3),
+  cooldownMs = Number(process.env.PROVIDER_BREAKER_COOLDOWN_MS || 15 * 60 * 1000),
+} = {}) {
+  const providers = new Map();
+
+  function get(name) {
+    let h = providers.get(name);
+    if (!h) {
+      h = {
+        name,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        statuses: {},                                  // '2xx' | '4xx' | '429' | '5xx' | 'network' -> count
+        latency: { lastMs: null, sumMs: 0, count: 0 },
+        circuit: 'closed',                             // 'closed' | 'open' | 'half-open'
+        openUntil: null,
+      };
+      providers.set(name, h);
+    }
+    return h;
+  }
+
+  return {
+    // Whether a fetch may go out now; moves an expired open circuit to half-open.
+    allow(name) {
+      const h = get(name);
+      if (h.circuit !== 'open') return true;
+      if (Date.now() < h.openUntil) return false;
+      h.circuit = 'half-open';
+      return true;
+    },
+
+    // One HTTP request (including retries).
+    request(name, { status, ms }) {
+      const h = get(name);
+      const k = statusClass(status);
+      h.statuses[k] = (h.statuses[k] || 0) + 1;
+      h.latency.lastMs = ms;
+      h.latency.sumMs += ms;
+      h.latency.count++;
+    },
+
+    success(name) {
+      const h = get(name);
+      h.lastSuccessAt = new Date().toISOString();
+      h.consecutiveFailures = 0;
+      if (h.circuit !== 'closed') console.log(`[health] ${name} circuit closed`);
+      h.circuit = 'closed';
+      h.openUntil = null;
+    },
+
+    failure(name, error) {
+      const h = get(name);
+      h.lastFailureAt = new Date().toISOString();
+      h.lastError = String(error ?? 'unknown');
+      h.consecutiveFailures++;
+      if (h.circuit === 'half-open' || (h.circuit === 'closed' && h.consecutiveFailures >= threshold)) {
+        h.circuit = 'open';
+        h.openUntil = Date.now() + cooldownMs;
+        console.warn(`[health] ${name} circuit open for ${Math.round(cooldownMs / 1000)}s after ${h.consecutiveFailures} failure(s): ${h.lastError}`);
+      }
+    },
+
+    snapshot() {
+      return [...providers.values()].map(h => ({
+        ...h,
+        statuses: { ...h.statuses },
+        latency: { ...h.latency, avgMs: h.latency.count ? Math.round(h.latency.sumMs / h.latency.count) : null },
+        openUntil: h.openUntil ? new Date(h.openUntil).toISOString() : null,
+      }));
+    },
+  };
+}
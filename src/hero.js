@@ -0,0 +1,162 @@
+// Hero/theme config: field types and validation, saved presets and per-contest
+// history for undo.
+//
+//   text    plain text, at most MAX_TEXT characters
+//   color   #rgb[a] / #rrggbb[aa], rgb[a]()/hsl[a]() or a named color
+//   shadow  CSS text-shadow: 'none' or up to 4 comma-separated "x y [blur] [color]"
+//   filter  CSS filter: 'none' or one or more drop-shadow(x y [blur] [color])
+//   url     '' , a same-origin path (/uploads/...) or an http(s) URL
+//   asset   media library id or null
+export const HERO_SCHEMA = {
+  headline: 'text',
+  sub1: 'text',
+  sub2: 'text',
+  linkText: 'text',
+  linkUrl: 'url',
+  headlineColor: 'color',
+  sub1Color: 'color',
+  sub2Color: 'color',
+  headlineGlow: 'shadow',
+  imageUrl: 'url',
+  imageGlow: 'filter',
+  coinImageUrl: 'url',
+  imageAsset: 'asset',
+  coinImageAsset: 'asset',
+};
+
+const MAX_TEXT = 300;
+const PRESET_RE = /^[a-z0-9][a-z0-9 _-]{0,39}$/i;
+const HISTORY_MAX = 20;
+
+const HEX = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FN_COLOR = /^(?:rgba?|hsla?)\(\s*-?[\d.]+(?:deg|%)?(?:\s*[,/]?\s*[\d.]+%?){2,3}\s*\)$/i;
+const NAMED = /^[a-z]{3,20}$/i;
+const LENGTH = /^-?(?:\d+|\d*\.\d+)(?:px|em|rem)?$/;
+
+export function isColor(s) {
+  return typeof s === 'string' && (HEX.test(s) || FN_COLOR.test(s) || NAMED.test(s));
+}
+
+// Splits on commas outside parentheses; null on unbalanced input.
+function splitTop(s) {
+  const out = [];
+  let depth = 0, cur = '';
+  for (const ch of s) {
+    if (ch === '(') depth++;
+    else if (ch === ')' && --depth < 0) return null;
+    if (ch === ',' && depth === 0) { out.push(cur.trim()); cur = ''; } else cur += ch;
+  }
+  if (depth) return null;
+  out.push(cur.trim());
+  return out;
+}
+
+function isOneShadow(part) {
+  const tokens = part.match(/(?:rgba?|hsla?)\([^()]*\)|\S+/gi) || [];
+  const lengths = tokens.filter(t => LENGTH.test(t));
+  const colors = tokens.filter(t => !LENGTH.test(t));
+  return lengths.length >= 2 && lengths.length <= 3 && colors.length <= 1 && colors.every(isColor);
+}
+
+export function isShadow(s) {
+  if (typeof s !== 'string') return false;
+  if (s.trim() === 'none') return true;
+  const parts = splitTop(s);
+  return Boolean(parts) && parts.length <= 4 && parts.every(isOneShadow);
+}
+
+export function isFilter(s) {
+  if (typeof s !== 'string') return false;
+  if (s.trim() === 'none') return true;
+  const re = /drop-shadow\(((?:[^()]|\([^()]*\))*)\)/g;
+  const inner = [...s.matchAll(re)].map(m => m[1].trim());
+  return inner.length > 0 && inner.length <= 4 && !s.replace(re, '').trim() && inner.every(isOneShadow);
+}
+
+export function isSafeUrl(s) {
+  if (typeof s !== 'string') return false;
+  if (s === '') return true;
+  if (/[\s"'<>\\`]/.test(s)) return false;
+  if (/^\/(?!\/)/.test(s)) return true;
+  try {
+    const u = new URL(s);
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+const CHECKS = {
+  text: [v => typeof v === 'string' && v.length <= MAX_TEXT, `text of at most ${MAX_TEXT} characters`],
+  color: [isColor, 'a CSS color (#hex, rgb(), hsl() or a name)'],
+  shadow: [isShadow, "a text-shadow like '0 0 12px rgba(255,255,255,0.8)' or 'none'"],
+  filter: [isFilter, "drop-shadow(...) filters or 'none'"],
+  url: [isSafeUrl, 'empty, a /path or an http(s) URL'],
+  asset: [v => typeof v === 'string' && /^[0-9a-f]{8,64}$/.test(v), 'a media asset id'],
+};
+
+// Validated subset of known hero fields; unknown keys are dropped and null leaves a
+// field unchanged, except for assets where it clears it. Throws "<field>: must be ...".
+export function validateHero(patch = {}) {
+  const out = {};
+  for (const [key, type] of Object.entries(HERO_SCHEMA)) {
+    let v = patch[key];
+    if (v === undefined || (v === null && type !== 'asset')) continue;
+    if (v === null) { out[key] = null; continue; }
+    if (type !== 'asset') v = String(v).trim();
+    const [ok, what] = CHECKS[type];
+    if (!ok(v)) throw new Error(`${key}: must be ${what}`);
+    out[key] = v;
+  }
+  return out;
+}
+
+// Presets under 'heroPresets' ({ name: { hero, savedAt, by } }, hero may be partial),
+// history under 'heroHistory-<slug>' (newest first, previous states only).
+export function createHeroLibrary(store) {
+  const presets = () => store.get('heroPresets', {});
+  const historyKey = slug => `heroHistory-${slug}`;
+
+  return {
+    presets() {
+      return presets();
+    },
+
+    preset(name) {
+      return presets()[name] || null;
+    },
+
+    savePreset(name, hero, by) {
+      if (!PRESET_RE.test(String(name ?? ''))) throw new Error('preset name: letters, digits, space, _ or -, up to 40');
+      const all = presets();
+      all[name] = { hero: validateHero(hero), savedAt: new Date().toISOString(), by: by ?? null };
+      store.set('heroPresets', all);
+      return all[name];
+    },
+
+    removePreset(name) {
+      const all = presets();
+      if (!all[name]) return false;
+      delete all[name];
+      store.set('heroPresets', all);
+      return true;
+    },
+
+    record(slug, hero, by) {
+      const list = [{ at: new Date().toISOString(), by: by ?? null, hero }, ...store.get(historyKey(slug), [])];
+      store.set(historyKey(slug), list.slice(0, HISTORY_MAX));
+    },
+
+    history(slug) {
+      return store.get(historyKey(slug), []);
+    },
+
+    // Pops the most recent previous state, or null when there is none.
+    undo(slug) {
+      const [last, ...rest] = store.get(historyKey(slug), []);
+      if (!last) return null;
+      store.set(historyKey(slug), rest);
+      return last.hero;
+    },
+  };
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+
+// Leaderboard history as day-bucketed NDJSON segments (UTC), one snapshot
+// { ts, p: { id: points }, m?: { id: { metric: value } } } per line, with an index
+// of each segment's time span:
+//
+//   history/index.json        { "2025-01-31": { from, to, count, compacted } }
+//   history/2025-01-31.ndjson
+//
+// Range queries only open the segments that overlap the range (plus the nearest
+// earlier one for the baseline). Parsed segments are kept in an LRU big enough for a
+// monthly window (cacheSegments raises it); the segment being written to is dropped
+// from it on every append.
+const DAY_MS = 24 * 60 * 60 * 1000;
+// a monthly window is up to 31 segments plus the one holding its baseline; anything
+// smaller gets every segment evicted before range() comes back to it
+const LRU_MIN = 33;
+
+const dayKey = ms => new Date(ms).toISOString().slice(0, 10);
+
+export function createHistory({ dir, legacyFile, retentionDays = 30, downsampleMs = 6 * 60 * 60 * 1000, cacheSegments = 0 }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const indexPath = path.join(dir, 'index.json');
+  const segPath = key => path.join(dir, `${key}.ndjson`);
+
+  let index = {};
+  try {
+    if (fs.existsSync(indexPath)) index = JSON.parse(fs.readFileSync(indexPath, 'utf8') || '{}');
+  } catch (e) {
+    console.warn('[history] index unreadable, rebuilding:', e?.message || e);
+    index = rebuildIndex();
+  }
+
+  const lru = new Map();
+  const lruMax = Math.max(LRU_MIN, Number(cacheSegments) || 0);
+
+  function saveIndex() {
+    const tmp = indexPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(index), 'utf8');
+    fs.renameSync(tmp, indexPath);
+  }
+
+  function parseLines(text) {
+    const out = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { out.push(JSON.parse(line)); } catch {}
+    }
+    return out.sort((a, b) => a.ts - b.ts);
+  }
+
+  function readSegment(key) {
+    if (lru.has(key)) {
+      const v = lru.get(key);
+      lru.delete(key); lru.set(key, v);
+      return v;
+    }
+    let snaps = [];
+    try { snaps = parseLines(fs.readFileSync(segPath(key), 'utf8')); } catch {}
+    lru.set(key, snaps);
+    if (lru.size > lruMax) lru.delete(lru.keys().next().value);
+    return snaps;
+  }
+
+  function rebuildIndex() {
+    const idx = {};
+    for (const f of fs.readdirSync(dir)) {
+      const m = /^(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(f);
+      if (!m) continue;
+      const snaps = parseLines(fs.readFileSync(path.join(dir, f), 'utf8'));
+      if (snaps.length) idx[m[1]] = { from: snaps[0].ts, to: snaps[snaps.length - 1].ts, count: snaps.length, compacted: false };
+    }
+    return idx;
+  }
+
+  function write(row) {
+    const key = dayKey(row.ts);
+    fs.appendFileSync(segPath(key), JSON.stringify(row) + '\n', 'utf8');
+    const seg = index[key];
+    index[key] = seg
+      ? { ...seg, from: Math.min(seg.from, row.ts), to: Math.max(seg.to, row.ts), count: seg.count + 1 }
+      : { from: row.ts, to: row.ts, count: 1, compacted: false };
+    lru.delete(key);
+  }
+
+  // The old single-file history gets split into segments once.
+  if (legacyFile && fs.existsSync(legacyFile)) {
+    const snaps = parseLines(fs.readFileSync(legacyFile, 'utf8'));
+    for (const s of snaps) write(s);
+    saveIndex();
+    fs.renameSync(legacyFile, legacyFile + '.imported');
+    console.log(`[history] imported ${snaps.length} snapshots from ${path.basename(legacyFile)}`);
+  }
+
+  const keys = () => Object.keys(index).sort();
+
+  return {
+    append(list, ts = Date.now()) {
+      const row = {
+        ts,
+        p: Object.fromEntries((list || []).map(u => [String(u.id), Number(u.points || 0)]))
+      };
+      const m = (list || []).filter(u => u.metrics && Object.keys(u.metrics).length);
+      if (m.length) row.m = Object.fromEntries(m.map(u => [String(u.id), u.metrics]));
+      write(row);
+      saveIndex();
+      return row;
+    },
+
+    // Snapshots in [startMs, endMs] plus the last snapshot before startMs.
+    range(startMs, endMs) {
+      let baseline = null;
+      const snaps = [];
+      for (const key of keys()) {
+        const seg = index[key];
+        if (seg.to < startMs) continue;
+        if (seg.from > endMs) break;
+        for (const s of readSegment(key)) if (s.ts >= startMs && s.ts <= endMs) snaps.push(s);
+      }
+      const earlier = keys().filter(k => index[k].from < startMs).pop();
+      if (earlier) baseline = readSegment(earlier).filter(s => s.ts < startMs).at(-1) ?? null;
+      return { baseline, snaps };
+    },
+
+    // Latest snapshot at or before `ms` (defaults to the newest).
+    latest(ms = Infinity) {
+      const key = keys().filter(k => index[k].from <= ms).pop();
+      if (!key) return null;
+      return readSegment(key).filter(s => s.ts <= ms).at(-1) ?? null;
+    },
+
+    // { id: ts } of the first snapshot each player appears in, one segment at a time.
+    firstSeen() {
+      const seen = {};
+      for (const key of keys()) {
+        for (const s of readSegment(key)) for (const id of Object.keys(s.p || {})) seen[id] ??= s.ts;
+      }
+      return seen;
+    },
+
+    // Downsample segments older than the retention horizon to the last snapshot per
+    // downsample interval. Lifetime totals only grow, so the last one is also the peak.
+    compact(now = Date.now()) {
+      const horizon = dayKey(now - retentionDays * DAY_MS);
+      let compacted = 0;
+      for (const key of keys()) {
+        if (key >= horizon) break;
+        if (index[key].compacted) continue;
+        const buckets = new Map();
+        for (const s of readSegment(key)) buckets.set(Math.floor(s.ts / downsampleMs), s);
+        const kept = [...buckets.values()];
+        const tmp = segPath(key) + '.tmp';
+        fs.writeFileSync(tmp, kept.map(s => JSON.stringify(s)).join('\n') + (kept.length ? '\n' : ''), 'utf8');
+        fs.renameSync(tmp, segPath(key));
+        index[key] = { from: kept[0]?.ts ?? index[key].from, to: kept.at(-1)?.ts ?? index[key].to, count: kept.length, compacted: true };
+        lru.delete(key);
+        compacted++;
+      }
+      if (compacted) {
+        saveIndex();
+        console.log(`[history] compacted ${compacted} segment(s) older than ${horizon}`);
+      }
+      return compacted;
+    },
+
+    stats() {
+      const ks = keys();
+      return {
+        segments: ks.length,
+        snapshots: ks.reduce((n, k) => n + index[k].count, 0),
+        from: ks.length ? index[ks[0]].from : null,
+        to: ks.length ? index[ks.at(-1)].to : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,104 @@
+import { expandPrizes } from './prizes.js';
+
+// Recurring contest periods and the archive of finalized contests.
+//
+// A recurrence rule is { every: 'weekly', weekday: 1, hour: 0 } or
+// { every: 'monthly', day: 1, hour: 0 }, all in UTC. Periods are [start, end)
+// where end is the next period's start.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeRecurrence(r) {
+  if (r == null) return null;
+  const hour = Number(r.hour ?? 0);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new Error('hour must be 0-23');
+  if (r.every === 'weekly') {
+    const weekday = Number(r.weekday ?? 1);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) throw new Error('weekday must be 0-6');
+    return { every: 'weekly', weekday, hour };
+  }
+  if (r.every === 'monthly') {
+    const day = Number(r.day ?? 1);
+    if (!Number.isInteger(day) || day < 1 || day > 28) throw new Error('day must be 1-28');
+    return { every: 'monthly', day, hour };
+  }
+  throw new Error('every must be weekly or monthly');
+}
+
+// The period that contains `ms`.
+export function periodAt(rule, ms) {
+  const d = new Date(ms);
+  let start, end;
+  if (rule.every === 'weekly') {
+    start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), rule.hour)
+      - ((d.getUTCDay() - rule.weekday + 7) % 7) * DAY_MS;
+    if (start > ms) start -= 7 * DAY_MS;
+    end = start + 7 * DAY_MS;
+  } else {
+    let y = d.getUTCFullYear(), m = d.getUTCMonth();
+    start = Date.UTC(y, m, rule.day, rule.hour);
+    if (start > ms) start = Date.UTC(y, --m, rule.day, rule.hour);
+    end = Date.UTC(y, m + 1, rule.day, rule.hour);
+  }
+  return { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+}
+
+// Final standings with the prize each rank won (cash amount and/or item). Ineligible
+// rows (see eligibility.js) sit after everyone eligible and never win anything.
+export function assignPrizes(board, table) {
+  const ranks = expandPrizes(table);
+  return (board || []).map((u, i) => ({
+    rank: i + 1,
+    id: String(u.id),
+    name: u.name,
+    avatar: u.avatar ?? null,
+    points: Number(u.points) || 0,
+    prize: u.ineligible ? null : ranks[i]?.amount ?? null,
+    item: u.ineligible ? null : ranks[i]?.item ?? null,
+    ...(u.ineligible && { ineligible: u.ineligible }),
+  }));
+}
+
+// Archive index lives under 'archive'; each entry's full standings under 'archive-<id>'.
+// Ids are <slug>-<start date>, then -2, -3, ... when that id is taken. Finalizing the
+// same window again (a reopened contest) supersedes the earlier entry, which gets
+// `supersededBy`; contests without a start have no fixed window and never do.
+export function createArchive(store) {
+  const index = () => store.get('archive', []);
+
+  return {
+    add(contest, standings) {
+      const base = `${contest.slug}-${(contest.start || contest.countdownEnd || new Date().toISOString()).slice(0, 10)}`;
+      const list = index();
+      const taken = list.filter(e => e.slug === contest.slug && (e.id === base || e.id.startsWith(`${base}-`))).length;
+      const end = contest.end ?? contest.countdownEnd;
+      const prior = contest.start ? list.find(e => e.slug === contest.slug && e.start === contest.start && e.end === end) : null;
+      const id = taken ? `${base}-${taken + 1}` : base;
+      const entry = {
+        id,
+        supersedes: prior?.id ?? null,
+        slug: contest.slug,
+        title: contest.title,
+        start: contest.start,
+        end,
+        finalizedAt: new Date().toISOString(),
+        prizes: contest.prizes,
+        winners: standings.filter(r => r.prize > 0 || r.item),
+        count: standings.length,
+      };
+      store.set(`archive-${id}`, { ...entry, standings });
+      store.set('archive', [entry, ...list.map(e => (e.id === entry.supersedes ? { ...e, supersededBy: id } : e))]);
+      return entry;
+    },
+
+    list(slug) {
+      const all = index();
+      return slug ? all.filter(e => e.slug === slug) : all;
+    },
+
+    get(id) {
+      const e = index().find(x => x.id === id);
+      const full = e && store.get(`archive-${id}`, null);
+      return full && (e.supersededBy ? { ...full, supersededBy: e.supersededBy } : full);
+    },
+  };
+}
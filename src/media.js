@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Media library for hero images, coin images and prize item pictures. Uploads are
+// identified by their magic bytes (the client's filename and mimetype are ignored),
+// stored as <dir>/<sha256 prefix>.<ext> and listed under 'media'. Identical files
+// dedupe to one asset, and names never get reused, so they can be cached forever.
+const TYPES = [
+  { mime: 'image/png',  ext: 'png',  test: b => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', ext: 'jpg',  test: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/gif',  ext: 'gif',  test: b => /^GIF8[79]a$/.test(b.subarray(0, 6).toString('latin1')) },
+  { mime: 'image/webp', ext: 'webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+export const MEDIA_EXTENSIONS = TYPES.map(t => t.ext).concat('jpeg');
+
+export function sniffImage(buf) {
+  const t = TYPES.find(x => x.test(buf));
+  return t ? { mime: t.mime, ext: t.ext } : null;
+}
+
+export function createMedia({ store, dir, tmpDir }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const all = () => store.get('media', []);
+
+  return {
+    list() {
+      return all();
+    },
+
+    get(id) {
+      return all().find(a => a.id === id) || null;
+    },
+
+    byUrl(url) {
+      return all().find(a => a.url === url) || null;
+    },
+
+    // Takes a multer file; the temp file is always gone afterwards.
+    add(file, by) {
+      try {
+        const buf = fs.readFileSync(file.path);
+        const type = sniffImage(buf);
+        if (!type) throw new Error('unsupported file type (png, jpeg, gif or webp only)');
+
+        const id = crypto.createHash('sha256').update(buf).digest('hex').slice(0, 32);
+        const existing = all().find(a => a.id === id);
+        if (existing) return existing;
+
+        const name = `${id}.${type.ext}`;
+        fs.renameSync(file.path, path.join(dir, name));
+        const asset = {
+          id,
+          url: `/uploads/media/${name}`,
+          mime: type.mime,
+          size: buf.length,
+          originalName: String(file.originalname || '').slice(0, 200),
+          uploadedBy: by ?? null,
+          createdAt: new Date().toISOString(),
+        };
+        store.set('media', [asset, ...all()]);
+        return asset;
+      } finally {
+        fs.rmSync(file.path, { force: true });
+      }
+    },
+
+    remove(id) {
+      const list = all();
+      const asset = list.find(a => a.id === id);
+      if (!asset) return false;
+      fs.rmSync(path.join(dir, path.basename(asset.url)), { force: true });
+      store.set('media', list.filter(a => a.id !== id));
+      return true;
+    },
+
+    // Upload leftovers (aborted or rejected requests) older than maxAgeMs.
+    cleanTmp(maxAgeMs = 60 * 60 * 1000) {
+      if (!tmpDir || !fs.existsSync(tmpDir)) return 0;
+      let n = 0;
+      for (const f of fs.readdirSync(tmpDir)) {
+        const p = path.join(tmpDir, f);
+        try {
+          if (Date.now() - fs.statSync(p).mtimeMs > maxAgeMs) { fs.rmSync(p, { force: true }); n++; }
+        } catch {}
+      }
+      if (n) console.log(`[media] removed ${n} stale upload(s) from tmp`);
+      return n;
+    },
+  };
+}
@@ -0,0 +1,19 @@
+// Prometheus text exposition format (0.0.4) for a list of
+// { name, help, type: 'counter' | 'gauge', samples: [{ labels?, value }] }.
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelSet(labels) {
+  const parts = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+export function formatMetrics(metrics) {
+  const lines = [];
+  for (const m of metrics) {
+    const samples = m.samples.filter(s => s.value != null && Number.isFinite(Number(s.value)));
+    if (!samples.length) continue;
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of samples) lines.push(`${m.name}${labelSet(s.labels)} ${Number(s.value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
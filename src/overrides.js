@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+
+// Admin overrides keyed by player id, applied on top of provider data wherever a
+// board is served, broadcast, archived or exported:
+//
+// {
+//   "exclude": true,                 // removed from every board
+//   "displayName": "Sponsor",        // shown instead of the provider name
+//   "avatar": "/uploads/x.png",      // shown instead of the provider avatar
+//   "anonymous": true,               // name masked as Ga***X, avatar hidden
+//   "adjustments": [{ "id", "points": 500, "reason": "bonus", "contest": "weekly" | null, "by", "at" }]
+// }
+//
+// Adjustments without a contest apply to every board (including the lifetime one).
+// The map is a plain JSON object, so ids are only read as own keys and the ones that
+// would reach Object.prototype are refused.
+const RESERVED_IDS = new Set(['__proto__', 'constructor', 'prototype']);
+
+export const isReservedId = id => RESERVED_IDS.has(String(id));
+
+const own = (map, id) => (Object.hasOwn(map, String(id)) ? map[String(id)] : null);
+
+function writable(id) {
+  if (isReservedId(id)) throw new Error('invalid player id');
+  return String(id);
+}
+
+export function maskName(name) {
+  const s = String(name ?? '');
+  if (s.length <= 3) return (s[0] ?? '') + '***';
+  return s.slice(0, 2) + '***' + s.slice(-1);
+}
+
+function adjustmentTotal(o, contest) {
+  return (o.adjustments || [])
+    .filter(a => !a.contest || a.contest === contest)
+    .reduce((n, a) => n + a.points, 0);
+}
+
+function decorate(u, o, contest) {
+  const adj = adjustmentTotal(o, contest);
+  const row = { ...u };
+  if (adj) {
+    row.points = Math.max(0, (Number(u.points) || 0) + adj);
+    row.adjustment = adj;
+  }
+  if (o.anonymous) {
+    row.name = maskName(o.displayName || u.name);
+    row.avatar = o.avatar ?? null;
+  } else {
+    if (o.displayName) row.name = o.displayName;
+    if (o.avatar) row.avatar = o.avatar;
+  }
+  return row;
+}
+
+export function createOverrides(store) {
+  const all = () => store.get('overrides', {});
+  let version = 0;
+
+  function save(map) {
+    store.set('overrides', map);
+    version++;
+  }
+
+  return {
+    // bumps on every change so cached views know to rebuild
+    get version() { return version; },
+
+    list() {
+      return all();
+    },
+
+    get(id) {
+      return own(all(), id);
+    },
+
+    isExcluded(id) {
+      return Boolean(own(all(), id)?.exclude);
+    },
+
+    set(id, { exclude, displayName, avatar, anonymous, note }) {
+      const key = writable(id);
+      const map = all();
+      const o = own(map, key) || { adjustments: [] };
+      if (exclude != null) o.exclude = Boolean(exclude);
+      if (anonymous != null) o.anonymous = Boolean(anonymous);
+      if (displayName !== undefined) o.displayName = displayName ? String(displayName).slice(0, 64) : null;
+      if (avatar !== undefined) o.avatar = avatar ? String(avatar) : null;
+      if (note !== undefined) o.note = note ? String(note) : null;
+      o.updatedAt = new Date().toISOString();
+      map[key] = o;
+      save(map);
+      return o;
+    },
+
+    remove(id) {
+      const map = all();
+      if (!own(map, id)) return false;
+      delete map[String(id)];
+      save(map);
+      return true;
+    },
+
+    addAdjustment(id, { points, reason, contest }, by = 'admin') {
+      const n = Number(points);
+      if (!Number.isFinite(n) || n === 0) throw new Error('points must be a non-zero number');
+      if (!String(reason ?? '').trim()) throw new Error('reason required');
+      const key = writable(id);
+      const map = all();
+      const o = own(map, key) || { adjustments: [] };
+      const adj = {
+        id: crypto.randomBytes(4).toString('hex'),
+        points: n,
+        reason: String(reason).trim(),
+        contest: contest || null,
+        by,
+        at: new Date().toISOString(),
+      };
+      o.adjustments = [...(o.adjustments || []), adj];
+      o.updatedAt = adj.at;
+      map[key] = o;
+      save(map);
+      return adj;
+    },
+
+    removeAdjustment(id, adjId) {
+      const map = all();
+      const o = own(map, id);
+      if (!o || !(o.adjustments || []).some(a => a.id === adjId)) return false;
+      o.adjustments = o.adjustments.filter(a => a.id !== adjId);
+      save(map);
+      return true;
+    },
+
+    // One row with its override applied, or null if the player is excluded.
+    decorate(u, contest = null) {
+      const o = own(all(), u.id);
+      if (!o) return u;
+      return o.exclude ? null : decorate(u, o, contest);
+    },
+
+    // decorate() for a list with one read of the map: a row or null per input row.
+    decorateAll(list, contest = null) {
+      const map = all();
+      return (list || []).map(u => {
+        const o = own(map, u.id);
+        if (!o) return u;
+        return o.exclude ? null : decorate(u, o, contest);
+      });
+    },
+
+    // Board with exclusions, adjustments and display overrides applied, re-sorted.
+    // `lookup(id)` supplies name/avatar for adjusted players who aren't on the board.
+    apply(board, { contest = null, lookup } = {}) {
+      const map = all();
+      if (!Object.keys(map).length) return board;
+
+      const seen = new Set();
+      const out = [];
+      for (const u of board || []) {
+        const id = String(u.id);
+        seen.add(id);
+        const o = own(map, id);
+        if (!o) out.push(u);
+        else if (!o.exclude) out.push(decorate(u, o, contest));
+      }
+      for (const [id, o] of Object.entries(map)) {
+        if (seen.has(id) || o.exclude || adjustmentTotal(o, contest) <= 0) continue;
+        const info = lookup?.(id);
+        out.push(decorate({ id, name: info?.name ?? 'Player', avatar: info?.avatar ?? null, points: 0 }, o, contest));
+      }
+      return out.sort((a, b) => b.points - a.points);
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// Payout records for prize positions of finalized contests.
+// pending → claimed → paid; anything but paid can be voided, and void can go back to pending.
+export const PAYOUT_STATUSES = ['pending', 'claimed', 'paid', 'void'];
+const TRANSITIONS = {
+  pending: ['claimed', 'paid', 'void'],
+  claimed: ['pending', 'paid', 'void'],
+  paid: [],
+  void: ['pending'],
+};
+
+export function createPayouts(store) {
+  const all = () => store.get('payouts', []);
+  const save = list => store.set('payouts', list);
+
+  return {
+    // One record per prized rank of an archive entry (see lifecycle.createArchive).
+    // When the entry re-finalizes a period, the earlier entry's pending records are
+    // voided; claimed and paid ones stay for an admin to settle.
+    createFor(entry) {
+      const list = all();
+      const now = new Date().toISOString();
+      const created = [];
+      let voided = 0;
+      for (const rec of list) {
+        if (!entry.supersedes || rec.archiveId !== entry.supersedes || rec.status !== 'pending') continue;
+        rec.history.push({ at: now, by: 'system', from: rec.status, to: 'void', note: `superseded by ${entry.id}` });
+        Object.assign(rec, { status: 'void', supersededBy: entry.id, updatedAt: now });
+        voided++;
+      }
+      for (const w of entry.winners || []) {
+        const id = `${entry.id}-${w.rank}`;
+        if (list.some(p => p.id === id)) continue;
+        const rec = {
+          id,
+          archiveId: entry.id,
+          contest: entry.slug,
+          rank: w.rank,
+          playerId: w.id,
+          name: w.name,
+          prize: w.prize,
+          item: w.item?.label ?? '',
+          status: 'pending',
+          note: '',
+          txRef: '',
+          createdAt: now,
+          updatedAt: now,
+          history: [],
+        };
+        list.push(rec);
+        created.push(rec);
+      }
+      if (created.length || voided) save(list);
+      return created;
+    },
+
+    list({ status, contest, playerId } = {}) {
+      return all().filter(p =>
+        (!status || p.status === status) &&
+        (!contest || p.contest === contest) &&
+        (!playerId || p.playerId === String(playerId)));
+    },
+
+    get(id) {
+      return all().find(p => p.id === id) || null;
+    },
+
+    update(id, { status, note, txRef }, by = 'admin') {
+      const list = all();
+      const rec = list.find(p => p.id === id);
+      if (!rec) return null;
+      if (status != null && status !== rec.status) {
+        if (!PAYOUT_STATUSES.includes(status)) throw new Error('invalid status');
+        if (!TRANSITIONS[rec.status].includes(status)) throw new Error(`cannot go from ${rec.status} to ${status}`);
+      }
+      const now = new Date().toISOString();
+      rec.history.push({ at: now, by, from: rec.status, to: status ?? rec.status, note: note ?? '' });
+      if (status != null) rec.status = status;
+      if (note != null) rec.note = String(note);
+      if (txRef != null) rec.txRef = String(txRef);
+      rec.updatedAt = now;
+      save(list);
+      return rec;
+    },
+  };
+}
+
+// What a winner may see about their own records.
+export function publicPayout(p) {
+  return {
+    id: p.id,
+    contest: p.contest,
+    archiveId: p.archiveId,
+    rank: p.rank,
+    prize: p.prize,
+    item: p.item,
+    status: p.status,
+    updatedAt: p.updatedAt,
+  };
+}
+
+export const PAYOUT_CSV_COLUMNS = [
+  'id', 'contest', 'archiveId', 'rank', 'playerId', 'name', 'prize', 'item', 'status', 'txRef', 'note', 'createdAt', 'updatedAt'
+];
@@ -0,0 +1,44 @@
+// Rank/movement helpers shared by the leaderboard views and the player detail API.
+
+// Adds rank, previousRank (null for new entries) and pointsDelta to a sorted board.
+export function withMovement(list, prevList) {
+  const prev = new Map((prevList || []).map((u, i) => [String(u.id), { rank: i + 1, points: Number(u.points) || 0 }]));
+  return (list || []).map((u, i) => {
+    const p = prev.get(String(u.id));
+    return {
+      ...u,
+      rank: i + 1,
+      previousRank: p?.rank ?? null,
+      pointsDelta: (Number(u.points) || 0) - (p?.points ?? 0),
+    };
+  });
+}
+
+// Sorted board from a history snapshot's { id: points } map, optionally minus a
+// baseline; `m` (the snapshot's metrics) rides along for scoring.
+export function snapshotBoard(p, base, m) {
+  const out = [];
+  for (const [id, pts] of Object.entries(p || {})) {
+    const points = base ? pts - (base[id] ?? 0) : pts;
+    if (!base || points > 0) out.push(m?.[id] ? { id, points, metrics: m[id] } : { id, points });
+  }
+  return out.sort((a, b) => b.points - a.points);
+}
+
+// Points and rank of one player on each board ({ ts, ids, points }, best first) they're on.
+export function playerTimeline(boards, id) {
+  const out = [];
+  for (const b of boards || []) {
+    const i = b.ids.indexOf(id);
+    if (i >= 0) out.push({ ts: b.ts, points: b.points[i], rank: i + 1 });
+  }
+  return out;
+}
+
+// A row as it leaves the server publicly: the Steam identity, referral date and
+// provider stay internal; admin exports join the identity back in. Of the metrics
+// only the names in `metrics` (the ones a contest ranks by) are kept.
+export function publicRow({ identity, joinedAt, provider, metrics, ...u }, keep = []) {
+  if (!keep.length || !metrics) return u;
+  return { ...u, metrics: Object.fromEntries(keep.filter(k => k in metrics).map(k => [k, metrics[k]])) };
+}
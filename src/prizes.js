@@ -0,0 +1,102 @@
+// Prize tables. A table is a list of tiers over rank ranges, each paying either a
+// fixed amount, a percentage of `pool`, or a non-cash item:
+//
+// {
+//   "currency": "USD", "pool": 1000,
+//   "tiers": [
+//     { "from": 1,  "to": 1,  "percent": 40 },
+//     { "from": 2,  "to": 10, "amount": 25 },
+//     { "from": 11, "to": 50, "amount": 5 },
+//     { "from": 51, "to": 51, "item": { "label": "AK-47 | Redline", "imageUrl": "/uploads/ak.png" } }
+//   ]
+// }
+//
+// A plain array of numbers (the old format) is rank 1..n with fixed amounts.
+export const MAX_RANK = 1000;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+export function fromArray(arr) {
+  return {
+    currency: 'USD',
+    pool: null,
+    tiers: arr.map((x, i) => ({ from: i + 1, to: i + 1, amount: round2(Number(x) || 0) })),
+  };
+}
+
+// Validates and normalizes a table (or legacy array). Throws with a readable message.
+export function parsePrizeTable(input) {
+  if (Array.isArray(input)) {
+    if (input.length > MAX_RANK || !input.every(x => Number.isFinite(Number(x)) && Number(x) >= 0)) {
+      throw new Error(`prizes must be an array of at most ${MAX_RANK} non-negative numbers`);
+    }
+    return fromArray(input);
+  }
+  if (!input || typeof input !== 'object' || !Array.isArray(input.tiers)) {
+    throw new Error('prizes must be an array of numbers or a table with tiers');
+  }
+
+  const pool = input.pool == null ? null : Number(input.pool);
+  if (pool != null && !(Number.isFinite(pool) && pool >= 0)) throw new Error('pool must be a non-negative number');
+
+  const tiers = input.tiers.map((t, i) => {
+    const where = `tier ${i + 1}`;
+    const from = Number(t?.from), to = Number(t?.to ?? t?.from);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > MAX_RANK) {
+      throw new Error(`${where}: from/to must be ranks 1-${MAX_RANK} with from <= to`);
+    }
+    const kinds = ['amount', 'percent', 'item'].filter(k => t[k] != null);
+    if (kinds.length !== 1) throw new Error(`${where}: needs exactly one of amount, percent or item`);
+
+    if (t.amount != null) {
+      const amount = Number(t.amount);
+      if (!Number.isFinite(amount) || amount < 0) throw new Error(`${where}: amount must be a non-negative number`);
+      return { from, to, amount: round2(amount) };
+    }
+    if (t.percent != null) {
+      const percent = Number(t.percent);
+      if (pool == null) throw new Error(`${where}: percent tiers need a pool`);
+      if (!Number.isFinite(percent) || percent <= 0 || percent > 100) throw new Error(`${where}: percent must be in (0, 100]`);
+      return { from, to, percent };
+    }
+    const label = String(t.item?.label ?? '').trim();
+    if (!label) throw new Error(`${where}: item needs a label`);
+    return { from, to, item: { label, imageUrl: t.item.imageUrl ? String(t.item.imageUrl) : null } };
+  });
+
+  const sorted = [...tiers].sort((a, b) => a.from - b.from);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].from <= sorted[i - 1].to) throw new Error(`tiers overlap at rank ${sorted[i].from}`);
+  }
+  const pct = tiers.reduce((sum, t) => sum + (t.percent ? t.percent * (t.to - t.from + 1) : 0), 0);
+  if (pct > 100) throw new Error(`percent tiers add up to ${pct}% of the pool`);
+
+  return { currency: String(input.currency || 'USD'), pool, tiers: sorted };
+}
+
+// Per-rank view: index i is rank i+1, null where no tier applies.
+export function expandPrizes(table) {
+  const tiers = table?.tiers || [];
+  const last = tiers.reduce((m, t) => Math.max(m, t.to), 0);
+  const ranks = Array.from({ length: last }, () => null);
+  for (const t of tiers) {
+    for (let r = t.from; r <= t.to; r++) {
+      ranks[r - 1] = {
+        rank: r,
+        amount: t.amount ?? (t.percent ? round2(table.pool * t.percent / 100) : null),
+        percent: t.percent ?? null,
+        item: t.item ?? null,
+      };
+    }
+  }
+  return ranks;
+}
+
+// Backward-compatible flat array of cash amounts (0 for item-only and uncovered ranks).
+export function flatPrizes(table) {
+  return expandPrizes(table).map(r => r?.amount ?? 0);
+}
+
+export function prizeView(table) {
+  return { prizes: flatPrizes(table), table, ranks: expandPrizes(table) };
+}
@@ -0,0 +1,44 @@
+import { toIso } from '../util.js';
+
+// CSGOWin-style affiliate API: `code` + gt/lt time window, `x-apikey` header, take/skip paging.
+export default function csgowin(opts = {}) {
+  const url    = opts.url || '';
+  const code   = opts.code || '';
+  const apiKey = opts.apiKey || '';
+  const by     = opts.by || 'wager';
+  const sort   = opts.sort || 'desc';
+  const take   = Number(opts.take || 100);
+  const skip   = Number(opts.skip || 0);
+  const gt     = String(opts.gt || '1672531200000');
+
+  return {
+    type: 'csgowin',
+    name: opts.name || 'csgowin',
+    configured: Boolean(url && apiKey && code),
+    pageSize: take,
+
+    request(page = 0) {
+      const qs = new URLSearchParams({
+        code, gt, lt: String(Date.now()), by, sort,
+        take: String(take), skip: String(skip + page * take)
+      }).toString();
+      return { url: `${url}?${qs}`, headers: { 'x-apikey': apiKey, accept: 'application/json' } };
+    },
+
+    rows(data) {
+      return Array.isArray(data)
+        ? data
+        : (data && Array.isArray(data.data) ? data.data : []);
+    },
+
+    toPlayer(u, i) {
+      return {
+        id: String(u.uuid || u.id || i),
+        name: String(u.name || u.username || `Player ${i+1}`),
+        avatar: u.steam_avatar || null,
+        points: Number(u.wagered ?? u.wager ?? u.points ?? 0),
+        joinedAt: toIso(u.createdAt ?? u.created_at)
+      };
+    }
+  };
+}
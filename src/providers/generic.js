@@ -0,0 +1,80 @@
+import { pick, toIso } from '../util.js';
+
+// Generic JSON provider driven entirely by config: where the rows live, which field
+// paths hold id/name/avatar/points/referral date, how to authenticate and how to page.
+//
+// {
+//   "type": "generic", "name": "rollbit", "url": "https://api.example.com/affiliates",
+//   "apiKey": "...", "apiKeyHeader": "authorization", "apiKeyPrefix": "Bearer ",
+//   "query": { "period": "all" },
+//   "rowsPath": "data.users",
+//   "fields": { "id": ["user.id", "id"], "name": "user.name", "avatar": "user.avatar", "points": "stats.wagered",
+//               "joinedAt": "user.referred_at",
+//               "metrics": { "deposited": "stats.deposits", "bets": ["stats.bets", "games"] } },
+//   "paging": { "mode": "page", "pageParam": "page", "sizeParam": "per_page", "size": 50, "firstPage": 1 }
+// }
+const DEFAULT_FIELDS = {
+  id: ['uuid', 'id'],
+  name: ['name', 'username'],
+  avatar: ['avatar', 'steam_avatar'],
+  points: ['wagered', 'wager', 'points'],
+  joinedAt: ['referred_at', 'referredAt', 'joined_at', 'joinedAt', 'created_at', 'createdAt']
+};
+
+const list = v => (Array.isArray(v) ? v : (v ? [v] : []));
+
+export default function generic(opts = {}) {
+  const url = opts.url || '';
+  const fields = { ...DEFAULT_FIELDS, ...(opts.fields || {}) };
+  const paging = { mode: 'offset', sizeParam: 'take', offsetParam: 'skip', pageParam: 'page', size: 100, firstPage: 1, ...(opts.paging || {}) };
+  const size = Number(paging.size) || 100;
+
+  const headers = { accept: 'application/json', ...(opts.headers || {}) };
+  if (opts.apiKey) headers[opts.apiKeyHeader || 'x-apikey'] = (opts.apiKeyPrefix || '') + opts.apiKey;
+
+  return {
+    type: 'generic',
+    name: opts.name || 'generic',
+    configured: Boolean(url),
+    pageSize: size,
+
+    request(page = 0) {
+      const q = { ...(opts.query || {}) };
+      if (paging.mode === 'page') {
+        q[paging.pageParam] = String(Number(paging.firstPage) + page);
+        q[paging.sizeParam] = String(size);
+      } else if (paging.mode === 'offset') {
+        q[paging.offsetParam] = String(page * size);
+        q[paging.sizeParam] = String(size);
+      }
+      const qs = new URLSearchParams(q).toString();
+      return { url: qs ? `${url}${url.includes('?') ? '&' : '?'}${qs}` : url, headers };
+    },
+
+    rows(data) {
+      const rows = opts.rowsPath ? pick(data, opts.rowsPath) : data;
+      return Array.isArray(rows) ? rows : [];
+    },
+
+    toPlayer(u, i) {
+      return {
+        id: String(pick(u, ...list(fields.id)) ?? i),
+        name: String(pick(u, ...list(fields.name)) ?? `Player ${i+1}`),
+        avatar: pick(u, ...list(fields.avatar)) ?? null,
+        points: Number(pick(u, ...list(fields.points)) ?? 0) || 0,
+        joinedAt: toIso(pick(u, ...list(fields.joinedAt)))
+      };
+    },
+
+    // only the configured metrics; without a mapping every numeric field is kept
+    metrics(u) {
+      if (!fields.metrics) return undefined;
+      const out = {};
+      for (const [name, paths] of Object.entries(fields.metrics)) {
+        const v = Number(pick(u, ...list(paths)));
+        if (Number.isFinite(v)) out[name] = v;
+      }
+      return out;
+    }
+  };
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import csgowin from './csgowin.js';
+import generic from './generic.js';
+import simulator from './simulator.js';
+
+// Provider registry. A provider factory takes its config object and returns
+// { type, name, configured, pageSize, request(page), rows(data), toPlayer(row, i) },
+// optionally metrics(row), and fetch(page) for providers that don't go over HTTP.
+const registry = new Map();
+
+export function registerProvider(type, factory) {
+  registry.set(type, factory);
+}
+
+export function createProvider(config = {}) {
+  const factory = registry.get(config.type);
+  if (!factory) throw new Error(`unknown affiliate provider type: ${config.type}`);
+  return factory(config);
+}
+
+registerProvider('csgowin', csgowin);
+registerProvider('generic', generic);
+registerProvider('simulator', simulator);
+
+// Providers come from AFFILIATE_PROVIDERS (JSON array) or AFFILIATE_PROVIDERS_FILE.
+// Without either, the legacy AFFILIATE_* variables describe a single CSGOWin provider.
+function readConfig(env) {
+  if (env.AFFILIATE_PROVIDERS) return JSON.parse(env.AFFILIATE_PROVIDERS);
+  if (env.AFFILIATE_PROVIDERS_FILE) return JSON.parse(fs.readFileSync(env.AFFILIATE_PROVIDERS_FILE, 'utf8'));
+  return [{
+    type: 'csgowin',
+    name: 'csgowin',
+    url: env.AFFILIATE_API,
+    code: env.AFFILIATE_CODE,
+    apiKey: env.AFFILIATE_API_KEY,
+    by: env.AFFILIATE_BY,
+    sort: env.AFFILIATE_SORT,
+    take: env.AFFILIATE_TAKE,
+    skip: env.AFFILIATE_SKIP,
+    gt: env.AFFILIATE_GT
+  }];
+}
+
+export function loadProviders(env = process.env) {
+  let configs;
+  try {
+    configs = readConfig(env);
+  } catch (e) {
+    console.warn('[providers] config invalid:', e?.message || e);
+    return [];
+  }
+  const out = [];
+  for (const c of Array.isArray(configs) ? configs : []) {
+    try {
+      const p = createProvider(c);
+      if (out.some(x => x.name === p.name)) throw new Error(`duplicate provider name: ${p.name}`);
+      out.push(p);
+    } catch (e) {
+      console.warn('[providers] skipped:', e?.message || e);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,153 @@
+// Offline provider for local testing: a seeded player population whose wagers grow
+// with time, plus injectable faults. Nothing leaves the process.
+//
+// {
+//   "type": "simulator", "name": "sim", "seed": 1,
+//   "players": 200, "pageSize": 50,
+//   "wagerPerMinute": 250,   // average wager an active player adds per minute
+//   "activeShare": 0.3,      // share of players betting at all between two fetches
+//   "joinPerMinute": 0.5,    // new referrals per minute
+//   "faults": { "rate429": 0, "rate500": 0, "emptyPage": 0, "reset": 0, "retryAfter": 1, "latencyMs": 0 }
+// }
+//
+// rate429/rate500/emptyPage are chances per page request, reset (every counter back to
+// zero, like a provider rolling its period over) per fetch. All draws come from the
+// seeded generator. Faults surface like HTTP errors so the retry/backoff and circuit
+// breaker paths run unchanged; they can be changed at runtime (setFaults).
+const FAULTS = { rate429: 0, rate500: 0, emptyPage: 0, reset: 0, retryAfter: 1, latencyMs: 0 };
+const PROBS = ['rate429', 'rate500', 'emptyPage', 'reset'];
+const SYLLABLES = ['ka', 'zu', 'mi', 'ro', 'te', 'shi', 'no', 'ra', 'ki', 'yo', 'ha', 'su', 'to', 'ne', 'ma', 'ri'];
+
+// mulberry32
+function seeded(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: null } });
+}
+
+export function normalizeFaults(input = {}, base = FAULTS) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(input || {})) {
+    if (!(k in FAULTS)) throw new Error(`unknown fault "${k}" (${Object.keys(FAULTS).join(', ')})`);
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || (PROBS.includes(k) && n > 1)) {
+      throw new Error(`${k} must be ${PROBS.includes(k) ? 'a probability between 0 and 1' : 'a non-negative number'}`);
+    }
+    out[k] = n;
+  }
+  return out;
+}
+
+export default function simulator(opts = {}) {
+  const name = opts.name || 'simulator';
+  const rand = seeded(Number(opts.seed ?? 1));
+  const size = Number(opts.pageSize) || 50;
+  const perMinute = Number(opts.wagerPerMinute ?? 250);
+  const activeShare = Number(opts.activeShare ?? 0.3);
+  const joinPerMinute = Number(opts.joinPerMinute ?? 0.5);
+  let faults = normalizeFaults(opts.faults);
+
+  const players = [];
+  let joinDebt = 0;
+  let lastTick = Date.now();
+
+  function addPlayer(at) {
+    const n = players.length + 1;
+    const parts = 2 + Math.floor(rand() * 2);
+    let nick = '';
+    for (let i = 0; i < parts; i++) nick += SYLLABLES[Math.floor(rand() * SYLLABLES.length)];
+    const accountId = 100000 + Math.floor(rand() * 900000000);
+    players.push({
+      uuid: `sim-${String(n).padStart(5, '0')}`,
+      name: nick[0].toUpperCase() + nick.slice(1) + (rand() < 0.3 ? Math.floor(rand() * 100) : ''),
+      steam_avatar: null,
+      // most players linked a Steam account
+      ...(rand() < 0.7 && { steamid: `STEAM_1:${accountId & 1}:${accountId >> 1}` }),
+      wagered: 0,
+      deposited: 0,
+      bets: 0,
+      created_at: new Date(at).toISOString(),
+    });
+  }
+
+  for (let i = 0; i < (Number(opts.players) || 200); i++) addPlayer(lastTick - Math.floor(rand() * 90 * 86400000));
+  // start from an existing spread rather than all zeros
+  for (const p of players) {
+    p.wagered = Math.round(rand() ** 3 * perMinute * 600 * 100) / 100;
+    p.deposited = Math.round(p.wagered * (0.05 + rand() * 0.1) * 100) / 100;
+    p.bets = Math.round(p.wagered / 25);
+  }
+
+  // Moves the population forward to `now`, once per fetch (page 0).
+  function tick(now) {
+    const minutes = Math.max(0, (now - lastTick) / 60000);
+    lastTick = now;
+    if (rand() < faults.reset) {
+      for (const p of players) Object.assign(p, { wagered: 0, deposited: 0, bets: 0 });
+      console.warn(`[simulator] ${name}: counters reset`);
+    }
+    for (const p of players) {
+      if (rand() >= activeShare) continue;
+      const gain = Math.round(rand() * 2 * perMinute * minutes * 100) / 100;
+      p.wagered = Math.round((p.wagered + gain) * 100) / 100;
+      p.deposited = Math.round((p.deposited + gain * rand() * 0.2) * 100) / 100;
+      p.bets += Math.ceil(gain / 25);
+    }
+    joinDebt += joinPerMinute * minutes;
+    for (; joinDebt >= 1; joinDebt--) addPlayer(now);
+  }
+
+  return {
+    type: 'simulator',
+    name,
+    configured: true,
+    pageSize: size,
+
+    request(page = 0) {
+      return { url: `simulator://${name}?page=${page}`, headers: {} };
+    },
+
+    // Stands in for the HTTP GET; resolves like an axios response or throws like one.
+    async fetch(page = 0) {
+      if (faults.latencyMs) await new Promise(r => setTimeout(r, faults.latencyMs));
+      if (rand() < faults.rate429) throw httpError(429, { 'retry-after': String(faults.retryAfter) });
+      if (rand() < faults.rate500) throw httpError(500);
+      if (page === 0) tick(Date.now());
+      if (rand() < faults.emptyPage) return { status: 200, data: [] };
+      const sorted = [...players].sort((a, b) => b.wagered - a.wagered);
+      return { status: 200, data: sorted.slice(page * size, (page + 1) * size).map(p => ({ ...p })) };
+    },
+
+    rows(data) {
+      return Array.isArray(data) ? data : [];
+    },
+
+    toPlayer(u, i) {
+      return {
+        id: String(u.uuid ?? i),
+        name: String(u.name ?? `Player ${i+1}`),
+        avatar: u.steam_avatar ?? null,
+        points: Number(u.wagered) || 0,
+        joinedAt: u.created_at ?? null
+      };
+    },
+
+    faults() {
+      return { ...faults };
+    },
+
+    setFaults(input) {
+      faults = normalizeFaults(input, faults);
+      return { ...faults };
+    }
+  };
+}
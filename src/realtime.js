@@ -0,0 +1,131 @@
+// Versioned Socket.IO leaderboard protocol.
+//
+// client → server
+//   'lb:subscribe'   { v: 1, view: 'global' | 'contest', slug?, top? }  (ack optional)
+//   'lb:resync'      { key, since }                                     (ack optional)
+//   'lb:unsubscribe' { key }
+// server → client
+//   'lb:snapshot'    { v, key, seq, rows }              on subscribe, or resync when `since` is too old
+//   'lb:diff'        { v, key, seq, prev, upserts, removes }
+//
+// Rows are identified by id and carry their rank; a diff lists the rows that were
+// added or changed and the ids that dropped out. Each view keeps its last LOG_SIZE
+// diffs so a client that missed a few can replay from its last seq. A publish that
+// changes nothing sends nothing and doesn't bump seq. Seqs come from one server-wide
+// counter seeded with the boot time, so a view that is dropped and recreated (or a
+// restart) never reuses a seq a client may still hold; such a resync gets a snapshot. Without an ack callback the
+// reply comes as the matching event instead.
+export const PROTOCOL_VERSION = 1;
+const LOG_SIZE = 50;
+const MAX_TOP = 100;
+
+// Normalized view key, e.g. 'global', 'contest:weekly', 'contest:weekly/top:10'.
+export function viewKey(req = {}) {
+  const top = req.top == null ? null : Number(req.top);
+  if (top != null && !(Number.isInteger(top) && top > 0 && top <= MAX_TOP)) return null;
+  let base;
+  if (req.view === 'global' || req.view == null) base = 'global';
+  else if (req.view === 'contest' && typeof req.slug === 'string' && req.slug) base = `contest:${req.slug}`;
+  else return null;
+  return top ? `${base}/top:${top}` : base;
+}
+
+// Inverse of viewKey(); anything it doesn't produce comes back with an unknown
+// view or top, so viewKey(parseKey(key)) === key only holds for valid keys.
+function parseKey(key) {
+  const [base, topPart] = String(key).split('/');
+  const top = topPart == null ? null : topPart.startsWith('top:') ? Number(topPart.slice(4)) : NaN;
+  if (base === 'global') return { view: 'global', top };
+  if (base.startsWith('contest:')) return { view: 'contest', slug: base.slice('contest:'.length), top };
+  return { view: base, top };
+}
+
+function diff(prev, rows) {
+  const next = new Map(rows.map(r => [String(r.id), r]));
+  const upserts = [];
+  for (const [id, r] of next) {
+    const old = prev.get(id);
+    if (!old || JSON.stringify(old) !== JSON.stringify(r)) upserts.push(r);
+  }
+  const removes = [...prev.keys()].filter(id => !next.has(id));
+  return { next, upserts, removes };
+}
+
+// `resolve({ view, slug })` returns the full rows of a view, or null if it doesn't exist.
+export function createRealtime(io, { resolve }) {
+  const views = new Map(); // key -> { seq, rows: Map, log: [] }
+  let clock = Date.now();
+  const room = key => `lb:${key}`;
+
+  function rowsFor(key) {
+    const d = parseKey(key);
+    const rows = resolve(d);
+    if (!Array.isArray(rows)) return null;
+    return d.top ? rows.slice(0, d.top) : rows;
+  }
+
+  function ensure(key) {
+    let v = views.get(key);
+    if (v) return v;
+    const rows = rowsFor(key);
+    if (!rows) return null;
+    v = { seq: ++clock, rows: new Map(rows.map(r => [String(r.id), r])), log: [] };
+    views.set(key, v);
+    return v;
+  }
+
+  const snapshot = (key, v) => ({ v: PROTOCOL_VERSION, key, seq: v.seq, rows: [...v.rows.values()] });
+  const reply = (socket, ack, event, payload) => (typeof ack === 'function' ? ack(payload) : socket.emit(event, payload));
+
+  io.on('connection', (socket) => {
+    socket.on('lb:subscribe', (req, ack) => {
+      if (req?.v != null && req.v !== PROTOCOL_VERSION) {
+        return reply(socket, ack, 'lb:error', { error: 'unsupported_version', v: PROTOCOL_VERSION });
+      }
+      const key = viewKey(req || {});
+      const v = key && ensure(key);
+      if (!v) return reply(socket, ack, 'lb:error', { error: 'unknown_view' });
+      socket.join(room(key));
+      reply(socket, ack, 'lb:snapshot', snapshot(key, v));
+    });
+
+    socket.on('lb:resync', (req, ack) => {
+      const key = String(req?.key ?? '');
+      // only keys lb:subscribe would hand out, so junk keys can't add views
+      const v = viewKey(parseKey(key)) === key && (views.get(key) || ensure(key));
+      if (!v) return reply(socket, ack, 'lb:error', { error: 'unknown_view' });
+      socket.join(room(key));
+      const since = Number(req?.since);
+      const replay = v.log.filter(d => d.seq > since);
+      const complete = Number.isInteger(since) && since <= v.seq && (since === v.seq || replay[0]?.prev === since);
+      if (!complete) return reply(socket, ack, 'lb:snapshot', snapshot(key, v));
+      if (typeof ack === 'function') return ack({ v: PROTOCOL_VERSION, key, seq: v.seq, diffs: replay });
+      for (const d of replay) socket.emit('lb:diff', d);
+    });
+
+    socket.on('lb:unsubscribe', (req) => socket.leave(room(String(req?.key ?? ''))));
+  });
+
+  return {
+    // Recompute every watched view and push row diffs. Views nobody watches are dropped.
+    publish() {
+      for (const [key, v] of views) {
+        if (!io.sockets.adapter.rooms.get(room(key))?.size) { views.delete(key); continue; }
+        const rows = rowsFor(key);
+        if (!rows) { views.delete(key); io.to(room(key)).emit('lb:error', { error: 'unknown_view', key }); continue; }
+        const { next, upserts, removes } = diff(v.rows, rows);
+        if (!upserts.length && !removes.length) continue;
+        const d = { v: PROTOCOL_VERSION, key, seq: ++clock, prev: v.seq, upserts, removes };
+        v.seq = d.seq;
+        v.rows = next;
+        v.log.push(d);
+        if (v.log.length > LOG_SIZE) v.log.shift();
+        io.to(room(key)).emit('lb:diff', d);
+      }
+    },
+
+    stats() {
+      return [...views].map(([key, v]) => ({ key, seq: v.seq, rows: v.rows.size, subscribers: io.sockets.adapter.rooms.get(room(key))?.size ?? 0 }));
+    },
+  };
+}
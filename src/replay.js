@@ -0,0 +1,56 @@
+import fs from 'fs';
+import { playerIdentity, idRow } from './steam.js';
+
+// Replay of recorded history for deterministic contest checks: snapshots from a
+// leaderboard-history.ndjson (or a history/<day>.ndjson segment) go back through
+// refresh() one by one with their recorded timestamps, `speed` times faster than they
+// were recorded. Point DATA_DIR at an empty directory and give contests start/end
+// inside the recorded period; windows then come out the same on every run. Countdowns,
+// freezing and finalizing follow the recorded time as well, and manual refreshes are
+// refused until the server restarts without REPLAY_FILE.
+//
+// Snapshots only carry ids, points and metrics, so names are "Player <id>".
+export function createReplay({ file, speed = 60, maxDelayMs = 60000 }) {
+  const snaps = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const s = JSON.parse(line);
+      if (Number.isFinite(s?.ts) && s.p && typeof s.p === 'object') snaps.push(s);
+    } catch {}
+  }
+  snaps.sort((a, b) => a.ts - b.ts);
+  let i = 0;
+
+  return {
+    total: snaps.length,
+    from: snaps[0]?.ts ?? null,
+    to: snaps.at(-1)?.ts ?? null,
+
+    get position() {
+      return i;
+    },
+
+    // The next snapshot shaped like fetchAffiliate() plus its `ts`, or null at the end.
+    next() {
+      const s = snaps[i++];
+      if (!s) return null;
+      const players = Object.entries(s.p).map(([id, points]) => ({
+        id,
+        name: `Player ${id}`,
+        avatar: null,
+        points: Number(points) || 0,
+        provider: 'replay',
+        identity: playerIdentity({}),
+        metrics: s.m?.[id] ?? {},
+      }));
+      return { players, ids: players.map(idRow), partial: false, ts: s.ts };
+    },
+
+    // How long to wait before the next snapshot, scaled down by `speed`.
+    delay() {
+      if (i === 0 || i >= snaps.length) return 0;
+      return Math.min(maxDelayMs, Math.max(0, (snaps[i].ts - snaps[i - 1].ts) / speed));
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// Player metrics and per-contest scoring.
+//
+// Every numeric field a provider returns is kept on the row as `metrics`
+// ({ wagered, deposited, profit, bets, 'slots.wagered', ... }). A contest can rank
+// by something other than the provider's `points` with a scoring rule:
+//
+// {
+//   "weights": { "wagered": 1, "slots.wagered": -0.5 },  // score = sum of weight * metric; 'points' is allowed
+//   "tieBreak": ["earliest", "metric:bets", "name"]      // applied in order when scores are equal
+// }
+//
+// Tie-breaks: 'earliest' = reached the score first, 'metric:<name>' = higher value
+// first, 'name' = alphabetical. Without weights the score is `points`.
+const SKIP_KEY = /(^|[._])(id|uuid|rank|position|avatar|name|username)$|steam|account|_at$|At$|time|date/i;
+const NUMERIC = /^-?\d+(?:\.\d+)?$/;
+const MAX_WEIGHTS = 20;
+
+// Numeric leaves of a raw provider row, nested objects flattened with dots (2 levels).
+export function numericMetrics(u, prefix = '', depth = 0, out = {}) {
+  for (const [k, v] of Object.entries(u || {})) {
+    const key = prefix + k;
+    if (SKIP_KEY.test(key)) continue;
+    if (typeof v === 'number' && Number.isFinite(v)) out[key] = v;
+    else if (typeof v === 'string' && NUMERIC.test(v.trim())) out[key] = Number(v);
+    else if (v && typeof v === 'object' && !Array.isArray(v) && depth < 1) numericMetrics(v, key + '.', depth + 1, out);
+  }
+  return out;
+}
+
+export function normalizeScoring(input) {
+  if (input == null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('scoring must be an object or null');
+
+  let weights = null;
+  if (input.weights != null) {
+    const entries = Object.entries(input.weights);
+    if (!entries.length || entries.length > MAX_WEIGHTS) throw new Error(`weights needs 1-${MAX_WEIGHTS} metrics`);
+    weights = {};
+    for (const [k, v] of entries) {
+      const w = Number(v);
+      if (!/^[\w.-]{1,64}$/.test(k)) throw new Error(`weights: invalid metric name "${k}"`);
+      if (!Number.isFinite(w)) throw new Error(`weights.${k} must be a number`);
+      weights[k] = w;
+    }
+  }
+
+  if (input.tieBreak != null && !Array.isArray(input.tieBreak)) throw new Error('tieBreak must be an array');
+  const tieBreak = (input.tieBreak ?? []).map(String);
+  for (const t of tieBreak) {
+    if (t !== 'earliest' && t !== 'name' && !/^metric:[\w.-]{1,64}$/.test(t)) {
+      throw new Error(`tieBreak: unknown rule "${t}" (earliest, name or metric:<name>)`);
+    }
+  }
+  return weights || tieBreak.length ? { weights, tieBreak } : null;
+}
+
+// Metric names a scoring rule reads (weights and metric tie-breaks), without 'points'.
+export function scoringMetrics(scoring) {
+  const names = [
+    ...Object.keys(scoring?.weights || {}),
+    ...(scoring?.tieBreak || []).filter(t => t.startsWith('metric:')).map(t => t.slice('metric:'.length)),
+  ];
+  return [...new Set(names)].filter(n => n !== 'points');
+}
+
+const metricOf = (row, name) => (name === 'points' ? Number(row.points) || 0 : Number(row.metrics?.[name]) || 0);
+
+export function scoreOf(row, scoring) {
+  if (!scoring?.weights) return Number(row.points) || 0;
+  let s = 0;
+  for (const [k, w] of Object.entries(scoring.weights)) s += w * metricOf(row, k);
+  return Math.round(s * 100) / 100;
+}
+
+function compareBy(rule) {
+  if (rule === 'earliest') {
+    return (a, b) => (Date.parse(a.reachedAt ?? '') || Infinity) - (Date.parse(b.reachedAt ?? '') || Infinity);
+  }
+  if (rule === 'name') return (a, b) => String(a.name ?? '').localeCompare(String(b.name ?? ''));
+  const name = rule.slice('metric:'.length);
+  return (a, b) => metricOf(b, name) - metricOf(a, name);
+}
+
+// Board ranked by the contest's scoring: `points` becomes the score, ties go
+// through the tie-break rules. Rows without a positive score drop out when weighted.
+export function rankBoard(rows, scoring) {
+  if (!scoring) return rows;
+  const rules = scoring.tieBreak.map(compareBy);
+  return (rows || [])
+    .map(u => (scoring.weights ? { ...u, points: scoreOf(u, scoring) } : u))
+    .filter(u => !scoring.weights || u.points > 0)
+    .sort((a, b) => {
+      if (b.points !== a.points) return b.points - a.points;
+      for (const cmp of rules) {
+        const d = cmp(a, b);
+        if (d) return d;
+      }
+      return 0;
+    });
+}
+
+// reachedAt: when each player's numbers last changed, carried over from the
+// previous board while nothing moved.
+export function stampChanges(rows, prevRows, ts = Date.now()) {
+  const prev = new Map((prevRows || []).map(u => [String(u.id), u]));
+  const at = new Date(ts).toISOString();
+  return rows.map(u => {
+    const old = prev.get(String(u.id));
+    const same = old && old.points === u.points && JSON.stringify(old.metrics ?? null) === JSON.stringify(u.metrics ?? null);
+    return { ...u, reachedAt: same ? (old.reachedAt ?? at) : at };
+  });
+}
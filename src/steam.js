@@ -0,0 +1,150 @@
+import axios from 'axios';
+import { pick } from './util.js';
+
+// Steam id conversions, the identity record carried on every leaderboard row and
+// optional profile enrichment from a Steam-Web-API-compatible endpoint.
+//
+//   SteamID64  76561197960287930
+//   Steam2     STEAM_1:0:11101      (Y = low bit of the account id, Z = the rest)
+//   Steam3     [U:1:22202]
+//   accountId  22202
+export const STEAM64_BASE = 76561197960265728n;
+
+export function toSteam64({ steam64, steam2, steam3, accountId } = {}) {
+  if (steam64 != null) {
+    const s = String(steam64).trim();
+    if (/^\d{17}$/.test(s)) return s;
+    try { const n = BigInt(s); if (n >= STEAM64_BASE) return n.toString(); } catch {}
+  }
+  if (steam2) {
+    const m = /^STEAM_[0-5]:([01]):(\d+)$/.exec(String(steam2).trim());
+    if (m) return (STEAM64_BASE + BigInt(m[2]) * 2n + BigInt(m[1])).toString();
+  }
+  if (steam3) {
+    const m = /^\[U:1:(\d+)\]$/.exec(String(steam3).trim());
+    if (m) return (STEAM64_BASE + BigInt(m[1])).toString();
+  }
+  if (accountId != null && String(accountId).trim() !== '') {
+    try { return (STEAM64_BASE + BigInt(String(accountId).trim())).toString(); } catch {}
+  }
+  return '';
+}
+
+// The other direction; null for anything that isn't an individual SteamID64.
+export function fromSteam64(steam64) {
+  let n;
+  try { n = BigInt(String(steam64 ?? '').trim()); } catch { return null; }
+  if (n < STEAM64_BASE) return null;
+  const acct = n - STEAM64_BASE;
+  return {
+    steam64: n.toString(),
+    steam2: `STEAM_1:${acct & 1n}:${acct >> 1n}`,
+    steam3: `[U:1:${acct}]`,
+    accountId: acct.toString(),
+  };
+}
+
+// Where providers have been seen to put these fields.
+const PATHS = {
+  name: ['name', 'username', 'displayName', 'user.name', 'user.username', 'user.displayName',
+    'profile.name', 'profile.username', 'profile.displayName'],
+  id: ['id', 'uuid', 'user_id', 'userId', 'userID', 'user', 'account_id',
+    'user.id', 'user.uuid', 'profile.id', 'profile.uuid'],
+  uuid: ['uuid', 'user_uuid', 'user.uuid', 'profile.uuid'],
+  steam64: ['steamid64', 'steam_id_64', 'steamId64', 'user.steamid64', 'user.steam_id_64', 'user.steamId64',
+    'profile.steamid64', 'profile.steam_id_64', 'profile.steamId64',
+    'steam.steamid64', 'steam.steam_id_64', 'steam.steamId64'],
+  steam2: ['steamid', 'steam_id', 'steamId', 'user.steamid', 'user.steam_id', 'user.steamId',
+    'profile.steamid', 'profile.steam_id', 'profile.steamId', 'steam.id'],
+  steam3: ['steamid3', 'steam_id3', 'steamId3', 'user.steamid3', 'user.steam_id3', 'user.steamId3',
+    'profile.steamid3', 'profile.steam_id3', 'profile.steamId3'],
+  accountId: ['accountId', 'account_id', 'user.accountId', 'user.account_id',
+    'profile.accountId', 'profile.account_id', 'steam.accountId', 'steam.account_id'],
+};
+
+// Normalized identity of a raw provider row: every Steam form when any one is known.
+export function playerIdentity(u) {
+  const steam64 = toSteam64({
+    steam64: pick(u, ...PATHS.steam64),
+    steam2: pick(u, ...PATHS.steam2),
+    steam3: pick(u, ...PATHS.steam3),
+    accountId: pick(u, ...PATHS.accountId),
+  });
+  const uuid = pick(u, ...PATHS.uuid);
+  return {
+    uuid: uuid != null ? String(uuid) : null,
+    ...(fromSteam64(steam64) || { steam64: null, steam2: null, steam3: null, accountId: null }),
+  };
+}
+
+// One line of the ID mapping export, from a normalized player so `id` is the board id
+// (namespaced for secondary providers) that overrides, archives and exports use.
+export function idRow(p) {
+  return {
+    name: String(p.name ?? ''),
+    id: String(p.id),
+    uuid: p.identity?.uuid ?? '',
+    steam64: p.identity?.steam64 ?? '',
+  };
+}
+
+// Profile enrichment via ISteamUser/GetPlayerSummaries. STEAM_API_URL points it at
+// any compatible server (a local stub in development). Lookups, including misses,
+// are cached for STEAM_CACHE_MS.
+export function createSteamProfiles({
+  apiKey = process.env.STEAM_API_KEY || '',
+  baseUrl = process.env.STEAM_API_URL || 'https://api.steampowered.com',
+  ttlMs = Number(process.env.STEAM_CACHE_MS || 6 * 60 * 60 * 1000),
+} = {}) {
+  const cache = new Map(); // steam64 -> { val, exp }
+
+  async function lookup(ids) {
+    const now = Date.now();
+    const missing = ids.filter(id => !(cache.get(id)?.exp > now));
+    for (let i = 0; i < missing.length; i += 100) {
+      const batch = missing.slice(i, i + 100);
+      try {
+        const res = await axios.get(`${baseUrl.replace(/\/$/, '')}/ISteamUser/GetPlayerSummaries/v0002/`, {
+          params: { key: apiKey, steamids: batch.join(',') },
+          timeout: 10000,
+        });
+        const found = new Map((res.data?.response?.players || []).map(p => [String(p.steamid), p]));
+        for (const id of batch) {
+          const p = found.get(id);
+          cache.set(id, {
+            exp: now + ttlMs,
+            val: p ? { personaName: p.personaname ?? null, avatar: p.avatarfull || p.avatar || null, profileUrl: p.profileurl ?? null } : null,
+          });
+        }
+      } catch (e) {
+        console.warn('[steam] profile lookup failed:', e?.response?.status || e?.message || e);
+      }
+    }
+    return new Map(ids.map(id => [id, cache.get(id)?.val ?? null]));
+  }
+
+  return {
+    configured: Boolean(apiKey),
+
+    // Fills identity.personaName/profileUrl and a missing avatar. Never throws.
+    async enrich(players) {
+      if (!apiKey) return players;
+      const ids = [...new Set(players.map(u => u.identity?.steam64).filter(Boolean))];
+      if (!ids.length) return players;
+      const profiles = await lookup(ids);
+      return players.map(u => {
+        const p = u.identity?.steam64 && profiles.get(u.identity.steam64);
+        if (!p) return u;
+        return {
+          ...u,
+          avatar: u.avatar || p.avatar,
+          identity: { ...u.identity, personaName: p.personaName, profileUrl: p.profileUrl },
+        };
+      });
+    },
+
+    stats() {
+      return { configured: Boolean(apiKey), baseUrl, cached: cache.size };
+    },
+  };
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import jsonBackend from './json.js';
+import sqliteBackend from './sqlite.js';
+import { DEFAULT_SLUG } from '../contests.js';
+import { fromArray } from '../prizes.js';
+
+// Private state lives in DATA_DIR, never under the publicly served uploads/.
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+export const SCHEMA_VERSION = 2;
+
+const backends = { json: jsonBackend, sqlite: sqliteBackend };
+
+function readLegacyJson(p) {
+  try {
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, 'utf8') || 'null');
+  } catch (e) {
+    console.warn(`[storage] could not read ${p}:`, e?.message || e);
+    return null;
+  }
+}
+
+function moveFile(from, to) {
+  if (!fs.existsSync(from)) return;
+  if (fs.existsSync(to)) fs.appendFileSync(to, fs.readFileSync(from));
+  else fs.copyFileSync(from, to);
+  fs.rmSync(from, { force: true });
+}
+
+// migrations[n] upgrades a store at version n-1 to version n.
+const migrations = {
+  // v1: import the loose files the server used to keep in uploads/ and take them
+  // out of the static directory.
+  1(store, { legacyDir }) {
+    const settings = readLegacyJson(path.join(legacyDir, 'settings.json'));
+    if (settings) {
+      // pre-contest settings.json only held the default contest's hero and countdown
+      store.set('settings', Array.isArray(settings.contests)
+        ? settings
+        : { contests: [{ slug: DEFAULT_SLUG, hero: settings.hero, countdownEnd: settings.countdownEnd ?? null }] });
+    }
+    const cache = readLegacyJson(path.join(legacyDir, 'leaderboard.json'));
+    if (Array.isArray(cache?.data)) store.set('leaderboard', cache);
+
+    moveFile(path.join(legacyDir, 'leaderboard-history.ndjson'), path.join(DATA_DIR, 'leaderboard-history.ndjson'));
+    for (const f of ['settings.json', 'settings.json.tmp', 'leaderboard.json', 'leaderboard.json.tmp']) {
+      fs.rmSync(path.join(legacyDir, f), { force: true });
+    }
+  },
+
+  // v2: contest prizes go from a flat array of numbers to a prize table.
+  2(store) {
+    const settings = store.get('settings');
+    if (!Array.isArray(settings?.contests)) return;
+    for (const c of settings.contests) {
+      if (Array.isArray(c.prizes)) c.prizes = fromArray(c.prizes);
+    }
+    store.set('settings', settings);
+  },
+};
+
+function migrate(store, ctx) {
+  const from = store.get('meta')?.version ?? 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`storage schema v${from} is newer than this server (v${SCHEMA_VERSION})`);
+  }
+  for (let v = from + 1; v <= SCHEMA_VERSION; v++) {
+    migrations[v](store, ctx);
+    store.set('meta', { version: v, migratedAt: new Date().toISOString() });
+    console.log(`[storage] migrated to schema v${v}`);
+  }
+}
+
+// Opens the configured backend (STORAGE_BACKEND=json|sqlite) and brings it up to
+// SCHEMA_VERSION. The returned store is synchronous: get(key, fallback) / set(key, value).
+export async function openStorage({ backend = process.env.STORAGE_BACKEND || 'json', legacyDir } = {}) {
+  const factory = backends[backend];
+  if (!factory) throw new Error(`unknown storage backend: ${backend}`);
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const impl = await factory({ dir: DATA_DIR });
+  const store = {
+    backend: impl.name,
+    dir: DATA_DIR,
+    get(key, fallback) {
+      const v = impl.get(key);
+      return v === undefined ? fallback : v;
+    },
+    set: (key, value) => impl.set(key, value),
+    delete: key => impl.delete(key),
+    close: () => impl.close(),
+  };
+
+  migrate(store, { legacyDir });
+  console.log(`[storage] ${impl.name} backend at ${DATA_DIR}`);
+  return store;
+}
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+
+// One `<key>.json` file per document, written atomically via tmp + rename.
+export default function jsonBackend({ dir }) {
+  const file = key => path.join(dir, `${key}.json`);
+
+  return {
+    name: 'json',
+
+    get(key) {
+      const p = file(key);
+      if (!fs.existsSync(p)) return undefined;
+      return JSON.parse(fs.readFileSync(p, 'utf8') || 'null') ?? undefined;
+    },
+
+    set(key, value) {
+      const p = file(key);
+      const tmp = p + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(value), 'utf8');
+      fs.renameSync(tmp, p);
+    },
+
+    delete(key) {
+      fs.rmSync(file(key), { force: true });
+    },
+
+    close() {}
+  };
+}
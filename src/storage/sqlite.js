@@ -0,0 +1,46 @@
+import path from 'path';
+
+// Embedded SQLite file (better-sqlite3, an optional dependency). Documents live in
+// a single key/value table as JSON text.
+export default async function sqliteBackend({ dir }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package installed');
+  }
+
+  const db = new Database(path.join(dir, 'tokyorewards.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  )`);
+
+  const getStmt = db.prepare('SELECT value FROM kv WHERE key = ?');
+  const setStmt = db.prepare(`INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const delStmt = db.prepare('DELETE FROM kv WHERE key = ?');
+
+  return {
+    name: 'sqlite',
+
+    get(key) {
+      const row = getStmt.get(key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    set(key, value) {
+      setStmt.run(key, JSON.stringify(value), Date.now());
+    },
+
+    delete(key) {
+      delStmt.run(key);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
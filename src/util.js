@@ -0,0 +1,34 @@
+// Returns the first non-null value found at any of the dotted paths, e.g. pick(u, 'name', 'user.name').
+export function pick(obj, ...paths) {
+  for (const p of paths) {
+    let cur = obj;
+    for (const seg of String(p).split('.')) {
+      if (cur && Object.prototype.hasOwnProperty.call(cur, seg)) cur = cur[seg];
+      else { cur = undefined; break; }
+    }
+    if (cur != null) return cur;
+  }
+  return undefined;
+}
+
+// RFC 4180-style CSV; `columns` is a list of keys (header = key) or [header, key] pairs.
+// Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula.
+export function toCsv(rows, columns) {
+  const cols = columns.map(c => (Array.isArray(c) ? c : [c, c]));
+  const cell = v => {
+    let s = v == null ? '' : String(v);
+    if (typeof v !== 'number' && /^[=+\-@]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [cols.map(([h]) => cell(h)).join(',')];
+  for (const r of rows) lines.push(cols.map(([, k]) => cell(r[k])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ISO string for a date string, ms timestamp or unix seconds; null when unparseable.
+export function toIso(v) {
+  if (v == null || v === '') return null;
+  let ms = typeof v === 'number' || /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v);
+  if (ms > 0 && ms < 1e11) ms *= 1000;
+  return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : null;
+}
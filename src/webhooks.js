@@ -0,0 +1,233 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+// Outbound notifications for the contest events that also go out over Socket.IO.
+// Targets live under 'webhooks':
+//
+// {
+//   "id": "a1b2c3d4", "type": "http" | "discord", "url": "https://...",
+//   "secret": "...",                      // http only, used for the signature
+//   "events": ["contest:ended", "leader:changed"] | ["*"],
+//   "contests": ["weekly"] | null,        // null = every contest
+//   "enabled": true
+// }
+//
+// http targets get { id, event, contest, ts, data } with
+//   X-Webhook-Timestamp: <ms>
+//   X-Webhook-Signature: sha256=<hex HMAC of `${timestamp}.${body}` with the secret>
+// discord targets get an embed with the top 10 and their prizes.
+//
+// Failed deliveries are retried after each RETRY_MS step; after the last one the
+// job moves to the dead-letter list ('webhookDeadLetters') until an admin retries it.
+// Pending retries are in memory only.
+export const WEBHOOK_EVENTS = ['leaderboard:update', 'countdown:update', 'announcement:update', 'contest:ended', 'leader:changed'];
+const DISCORD_DEFAULT_EVENTS = ['announcement:update', 'contest:ended', 'leader:changed'];
+const RETRY_MS = [5_000, 30_000, 2 * 60_000, 10 * 60_000];
+const DEAD_MAX = 200;
+
+const escapeMd = s => String(s ?? '').replace(/([\\*_~`|>])/g, '\\$1');
+const fmt = n => Number(n || 0).toLocaleString('en-US');
+
+function prizeText(r, currency) {
+  const parts = [];
+  if (r.prize) parts.push(`${fmt(r.prize)} ${currency}`);
+  if (r.item) parts.push(escapeMd(r.item.label));
+  return parts.length ? ` · ${parts.join(' + ')}` : '';
+}
+
+function discordMessage(event, c, data, rows) {
+  const name = escapeMd(c.title || c.slug);
+  const title = {
+    'leaderboard:update': `${name} — leaderboard updated`,
+    'countdown:update': `${name} — countdown changed`,
+    'announcement:update': `${name} — announcement`,
+    'contest:ended': `${name} — contest ended`,
+    'leader:changed': `${name} — new #1: ${escapeMd(data?.name)}`,
+    'test': `${name} — test notification`,
+  }[event] || `${name} — ${event}`;
+
+  const currency = c.prizes?.currency || 'USD';
+  const top = (rows || []).slice(0, 10).map(r => `**${r.rank}.** ${escapeMd(r.name)} — ${fmt(r.points)} pts${prizeText(r, currency)}`);
+  const lines = [];
+  if (event === 'announcement:update') lines.push(escapeMd(data?.announcement) || '_Announcement cleared._');
+  else if (event === 'countdown:update') {
+    const end = Date.parse(data?.end ?? '');
+    lines.push(Number.isFinite(end) ? `Ends <t:${Math.floor(end / 1000)}:F> (<t:${Math.floor(end / 1000)}:R>)` : 'Countdown cleared.');
+  } else lines.push(...top);
+  if (event === 'contest:ended') lines.push('', 'Winners: open a ticket on Discord to claim your prize.');
+
+  return {
+    allowed_mentions: { parse: [] },
+    embeds: [{ title, description: lines.join('\n').slice(0, 4000) || '—', timestamp: new Date().toISOString() }],
+  };
+}
+
+function validate(input, existing) {
+  const t = { ...existing };
+  if (input.type !== undefined || !existing) {
+    if (!['http', 'discord'].includes(input.type)) throw new Error("type must be 'http' or 'discord'");
+    t.type = input.type;
+  }
+  if (input.url !== undefined || !existing) {
+    if (!/^https?:\/\/\S+$/i.test(String(input.url ?? ''))) throw new Error('url must be an http(s) URL');
+    t.url = String(input.url);
+  }
+  if (input.events !== undefined) {
+    const ev = Array.isArray(input.events) ? input.events.map(String) : [];
+    if (!ev.length || ev.some(e => e !== '*' && !WEBHOOK_EVENTS.includes(e))) {
+      throw new Error(`events must be '*' or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    t.events = ev;
+  } else if (!existing) {
+    t.events = t.type === 'discord' ? DISCORD_DEFAULT_EVENTS : ['*'];
+  }
+  if (input.contests !== undefined) {
+    if (input.contests != null && !Array.isArray(input.contests)) throw new Error('contests must be an array of slugs or null');
+    t.contests = input.contests?.length ? input.contests.map(String) : null;
+  }
+  if (input.secret !== undefined) t.secret = input.secret ? String(input.secret) : null;
+  if (!existing && t.type === 'http' && !t.secret) t.secret = crypto.randomBytes(24).toString('hex');
+  if (input.enabled !== undefined) t.enabled = Boolean(input.enabled);
+  t.enabled ??= true;
+  t.contests ??= null;
+  return t;
+}
+
+// `standings(contest)` returns the top rows with rank, name, points, prize and item.
+export function createWebhooks(store, { standings }) {
+  const targets = () => store.get('webhooks', []);
+  const status = new Map(); // target id -> { at, ok, status, error }
+
+  function matches(t, event, slug) {
+    if (t.enabled === false) return false;
+    if (!t.events.includes('*') && !t.events.includes(event)) return false;
+    return !t.contests || t.contests.includes(slug);
+  }
+
+  function payloadFor(t, event, c, data) {
+    if (t.type === 'discord') {
+      const rows = event === 'contest:ended' ? data?.winners : standings(c);
+      return discordMessage(event, c, data, rows);
+    }
+    return { id: crypto.randomUUID(), event, contest: c.slug, ts: Date.now(), data };
+  }
+
+  async function send(t, payload) {
+    const body = JSON.stringify(payload);
+    const headers = { 'content-type': 'application/json', 'user-agent': 'tokyorewards-webhooks' };
+    if (t.type === 'http') {
+      const ts = String(Date.now());
+      headers['x-webhook-event'] = payload.event;
+      headers['x-webhook-timestamp'] = ts;
+      if (t.secret) headers['x-webhook-signature'] = 'sha256=' + crypto.createHmac('sha256', t.secret).update(`${ts}.${body}`).digest('hex');
+    }
+    try {
+      const res = await axios.post(t.url, body, { headers, timeout: 10000 });
+      const s = { at: new Date().toISOString(), ok: true, status: res.status, error: null };
+      status.set(t.id, s);
+      return s;
+    } catch (e) {
+      const ra = Number(e?.response?.headers?.['retry-after']);
+      const s = {
+        at: new Date().toISOString(), ok: false, status: e?.response?.status ?? null,
+        error: e?.response ? `HTTP ${e.response.status}` : (e?.message || String(e)),
+        retryAfterMs: Number.isFinite(ra) && ra > 0 ? ra * 1000 : null,
+      };
+      status.set(t.id, s);
+      return s;
+    }
+  }
+
+  function deadLetter(job, result) {
+    const list = store.get('webhookDeadLetters', []);
+    list.unshift({ ...job, id: crypto.randomBytes(4).toString('hex'), error: result.error, failedAt: result.at });
+    store.set('webhookDeadLetters', list.slice(0, DEAD_MAX));
+    console.warn(`[webhooks] ${job.event} to ${job.targetId} dead-lettered after ${job.attempts} attempt(s): ${result.error}`);
+  }
+
+  async function run(job) {
+    try {
+      const t = targets().find(x => x.id === job.targetId);
+      if (!t) return; // target deleted meanwhile
+      job.attempts++;
+      const result = await send(t, job.payload);
+      if (result.ok) return;
+      const wait = RETRY_MS[job.attempts - 1];
+      if (wait == null) return deadLetter(job, result);
+      setTimeout(() => run(job), Math.max(wait, result.retryAfterMs ?? 0)).unref?.();
+    } catch (e) {
+      console.warn(`[webhooks] ${job.event} to ${job.targetId} failed:`, e?.message || e);
+    }
+  }
+
+  return {
+    list() {
+      return targets().map(t => ({ ...t, secret: t.secret ? '***' : null, lastDelivery: status.get(t.id) ?? null }));
+    },
+
+    get(id) {
+      return targets().find(t => t.id === id) || null;
+    },
+
+    add(input) {
+      const t = { id: crypto.randomBytes(4).toString('hex'), ...validate(input || {}), createdAt: new Date().toISOString() };
+      store.set('webhooks', [...targets(), t]);
+      return t;
+    },
+
+    update(id, input) {
+      const list = targets();
+      const i = list.findIndex(t => t.id === id);
+      if (i < 0) return null;
+      list[i] = validate(input || {}, list[i]);
+      store.set('webhooks', list);
+      return list[i];
+    },
+
+    remove(id) {
+      const list = targets();
+      if (!list.some(t => t.id === id)) return false;
+      store.set('webhooks', list.filter(t => t.id !== id));
+      status.delete(id);
+      return true;
+    },
+
+    // Fan an event out to every matching target. Never throws; delivery is async.
+    notify(event, c, data) {
+      if (!WEBHOOK_EVENTS.includes(event)) return;
+      for (const t of targets()) {
+        if (!matches(t, event, c.slug)) continue;
+        try {
+          run({ targetId: t.id, event, contest: c.slug, payload: payloadFor(t, event, c, data), attempts: 0 });
+        } catch (e) {
+          console.warn(`[webhooks] ${event} for ${t.id} failed to build:`, e?.message || e);
+        }
+      }
+    },
+
+    // One attempt, no retries; resolves with the delivery result.
+    test(id, c) {
+      const t = targets().find(x => x.id === id);
+      if (!t) return null;
+      return send(t, payloadFor(t, 'test', c, { message: 'Test notification', contest: c.slug }));
+    },
+
+    deadLetters() {
+      return store.get('webhookDeadLetters', []);
+    },
+
+    retryDeadLetter(id) {
+      const list = store.get('webhookDeadLetters', []);
+      const job = list.find(j => j.id === id);
+      if (!job) return false;
+      store.set('webhookDeadLetters', list.filter(j => j.id !== id));
+      const { id: _, error, failedAt, ...rest } = job;
+      run({ ...rest, attempts: 0 });
+      return true;
+    },
+
+    clearDeadLetters() {
+      store.set('webhookDeadLetters', []);
+    },
+  };
+}
@@ -0,0 +1,196 @@
+import { isColor } from './hero.js';
+
+// Embeddable views of a contest: a live HTML overlay (OBS browser source / iframe)
+// kept up to date over the Socket.IO leaderboard protocol (realtime.js), and a static
+// SVG "top N" card for Discord and social previews.
+//
+// Query options, all optional:
+//   rows       number of players, 1-25 (10)
+//   width      px, 200-1920 (480)
+//   rowHeight  px, 20-120 (40)
+//   theme      'dark' | 'light' | 'transparent' (overlay default) ; colors below override it
+//   bg, fg, accent, muted   CSS colors; hex may come without '#' (accent defaults to the
+//                           hero headline color)
+//   title, prizes, countdown, avatars   '0' hides that part (avatars: overlay only)
+const THEMES = {
+  dark: { bg: '#10131a', fg: '#f2f4f8', accent: '#f5c542', muted: '#8a93a6' },
+  light: { bg: '#ffffff', fg: '#161a22', accent: '#c98a00', muted: '#6b7385' },
+  transparent: { bg: 'transparent', fg: '#ffffff', accent: '#f5c542', muted: '#d0d4dc' },
+};
+
+const esc = s => String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+const fmt = n => Math.round(Number(n) || 0).toLocaleString('en-US');
+const int = (v, min, max, dflt) => {
+  const n = Math.round(Number(v));
+  return v == null || v === '' || !Number.isFinite(n) ? dflt : Math.min(max, Math.max(min, n));
+};
+
+function color(v) {
+  if (typeof v !== 'string' || !v) return null;
+  const c = /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v) ? `#${v}` : v;
+  return isColor(c) ? c : null;
+}
+
+export function widgetOptions(query = {}, { hero, theme = 'dark' } = {}) {
+  const base = THEMES[query.theme] || THEMES[theme];
+  const off = k => query[k] === '0' || query[k] === 'false';
+  return {
+    rows: int(query.rows, 1, 25, 10),
+    width: int(query.width, 200, 1920, 480),
+    rowHeight: int(query.rowHeight, 20, 120, 40),
+    bg: color(query.bg) || base.bg,
+    fg: color(query.fg) || base.fg,
+    accent: color(query.accent) || (query.theme ? null : color(hero?.headlineColor)) || base.accent,
+    muted: color(query.muted) || base.muted,
+    title: !off('title'),
+    prizes: !off('prizes'),
+    countdown: !off('countdown'),
+    avatars: !off('avatars'),
+  };
+}
+
+export function prizeLabel(r, currency) {
+  const parts = [];
+  if (r.prize) parts.push(`${fmt(r.prize)} ${currency}`);
+  if (r.item?.label) parts.push(r.item.label);
+  return parts.join(' + ');
+}
+
+export function timeLeft(end, now = Date.now()) {
+  const ms = Date.parse(end ?? '') - now;
+  if (!Number.isFinite(ms)) return '';
+  if (ms <= 0) return 'Ended';
+  const d = Math.floor(ms / 86400000), h = Math.floor(ms / 3600000) % 24, m = Math.floor(ms / 60000) % 60;
+  return `Ends in ${d ? `${d}d ` : ''}${d || h ? `${h}h ` : ''}${m}m`;
+}
+
+const clip = (s, max) => (s.length > max ? s.slice(0, Math.max(1, max - 1)) + '…' : s);
+
+// `rows` come from assignPrizes(); ineligible players are left out.
+export function renderCard({ title, rows, currency, end }, o) {
+  const list = rows.filter(r => !r.ineligible).slice(0, o.rows);
+  const pad = Math.round(o.rowHeight * 0.4);
+  const font = Math.round(o.rowHeight * 0.42);
+  const head = o.title ? Math.round(o.rowHeight * (o.countdown && end ? 1.9 : 1.4)) : 0;
+  const height = head + pad * 2 + Math.max(1, list.length) * o.rowHeight;
+  const nameChars = Math.floor((o.width - pad * 2) / (font * 0.6)) - (o.prizes ? 22 : 12);
+
+  const lines = list.map((r, i) => {
+    const y = head + pad + i * o.rowHeight + o.rowHeight / 2;
+    const prize = o.prizes ? prizeLabel(r, currency) : '';
+    return [
+      i % 2 ? '' : `<rect x="${pad / 2}" y="${y - o.rowHeight / 2}" width="${o.width - pad}" height="${o.rowHeight}" rx="${pad / 2}" fill="${esc(o.fg)}" fill-opacity="0.05"/>`,
+      `<text x="${pad}" y="${y}" fill="${esc(i < 3 ? o.accent : o.muted)}" font-weight="700">${r.rank}</text>`,
+      `<text x="${Math.round(pad + font * 2.2)}" y="${y}" fill="${esc(o.fg)}">${esc(clip(String(r.name ?? ''), Math.max(6, nameChars)))}</text>`,
+      `<text x="${o.width - pad}" y="${y}" fill="${esc(o.fg)}" text-anchor="end">${esc(fmt(r.points))}${prize ? `<tspan fill="${esc(o.accent)}" dx="${Math.round(font * 0.6)}">${esc(clip(prize, 20))}</tspan>` : ''}</text>`,
+    ].join('');
+  });
+  if (!list.length) lines.push(`<text x="${o.width / 2}" y="${head + pad + o.rowHeight / 2}" fill="${esc(o.muted)}" text-anchor="middle">No players yet</text>`);
+
+  const header = o.title ? [
+    `<text x="${pad}" y="${pad + font}" fill="${esc(o.accent)}" font-size="${Math.round(font * 1.3)}" font-weight="800">${esc(clip(String(title ?? ''), 40))}</text>`,
+    o.countdown && end ? `<text x="${pad}" y="${Math.round(pad + font * 2.6)}" fill="${esc(o.muted)}" font-size="${Math.round(font * 0.85)}">${esc(timeLeft(end))}</text>` : '',
+  ].join('') : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${o.width}" height="${height}" viewBox="0 0 ${o.width} ${height}" font-family="Inter, Segoe UI, Helvetica, Arial, sans-serif" font-size="${font}" dominant-baseline="central">
+<rect width="100%" height="100%" rx="${pad}" fill="${o.bg === 'transparent' ? 'none' : esc(o.bg)}"/>
+${header}
+${lines.join('\n')}
+</svg>
+`;
+}
+
+// Live overlay page. `state` seeds the first paint; the script then follows
+// lb:snapshot/lb:diff for the board and prizes/countdown/hero updates for the rest.
+// Inline script and style carry `nonce` for the route's CSP.
+export function renderOverlay(state, o, nonce) {
+  const json = JSON.stringify(state).replace(/</g, '\\u003c');
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(state.title)}</title>
+<style nonce="${nonce}">
+  html,body{margin:0;background:${o.bg};color:${o.fg};font:${Math.round(o.rowHeight * 0.42)}px/1.2 Inter,'Segoe UI',Helvetica,Arial,sans-serif;overflow:hidden}
+  .w{width:${o.width}px;box-sizing:border-box;padding:${Math.round(o.rowHeight * 0.3)}px}
+  h1{margin:0;color:${o.accent};font-size:1.3em;font-weight:800;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .cd{color:${o.muted};font-size:.85em;margin:.2em 0 .4em}
+  ol{list-style:none;margin:0;padding:0}
+  li{display:flex;align-items:center;gap:.5em;height:${o.rowHeight}px;padding:0 .4em;border-radius:.3em;transition:transform .4s}
+  li:nth-child(odd){background:rgba(127,127,127,.12)}
+  .r{width:1.8em;font-weight:700;color:${o.muted}} li:nth-child(-n+3) .r{color:${o.accent}}
+  .a{width:${Math.round(o.rowHeight * 0.7)}px;height:${Math.round(o.rowHeight * 0.7)}px;border-radius:50%;object-fit:cover}
+  .n{flex:1;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .p{font-variant-numeric:tabular-nums} .z{color:${o.accent};margin-left:.5em}
+  [hidden]{display:none}
+</style></head>
+<body><div class="w">
+<h1 id="t"${o.title ? '' : ' hidden'}></h1><div class="cd" id="cd"${o.title && o.countdown ? '' : ' hidden'}></div>
+<ol id="b"></ol>
+</div>
+<script nonce="${nonce}" type="application/json" id="s">${json}</script>
+<script src="/socket.io/socket.io.js"></script>
+<script nonce="${nonce}">
+(() => {
+  const S = JSON.parse(document.getElementById('s').textContent);
+  const O = ${JSON.stringify({ rows: o.rows, prizes: o.prizes, avatars: o.avatars })};
+  const $ = id => document.getElementById(id);
+  const fmt = n => Math.round(Number(n) || 0).toLocaleString('en-US');
+  let rows = S.rows, key = null, seq = 0;
+
+  function prize(rank) {
+    const p = S.ranks[rank - 1];
+    if (!p) return '';
+    return [p.amount ? fmt(p.amount) + ' ' + S.currency : '', p.item?.label || ''].filter(Boolean).join(' + ');
+  }
+  function render() {
+    $('t').textContent = S.headline || S.title;
+    const list = rows.filter(r => !r.ineligible).sort((a, b) => a.rank - b.rank).slice(0, O.rows);
+    $('b').replaceChildren(...list.map((r, i) => {
+      const li = document.createElement('li');
+      const cell = (cls, text) => { const s = document.createElement('span'); s.className = cls; s.textContent = text; li.append(s); return s; };
+      cell('r', i + 1);
+      if (O.avatars && r.avatar) { const img = document.createElement('img'); img.className = 'a'; img.src = r.avatar; img.alt = ''; li.append(img); }
+      cell('n', r.name);
+      const pts = cell('p', fmt(r.points));
+      const z = O.prizes ? prize(i + 1) : '';
+      if (z) { const s = document.createElement('span'); s.className = 'z'; s.textContent = z; pts.append(s); }
+      return li;
+    }));
+  }
+  function tick() {
+    const ms = Date.parse(S.end || '') - Date.now();
+    if (!Number.isFinite(ms)) { $('cd').textContent = ''; return; }
+    if (ms <= 0) { $('cd').textContent = 'Ended'; return; }
+    const d = Math.floor(ms / 864e5), h = Math.floor(ms / 36e5) % 24, m = Math.floor(ms / 6e4) % 60, s = Math.floor(ms / 1e3) % 60;
+    $('cd').textContent = 'Ends in ' + (d ? d + 'd ' : '') + [h, m, s].map(x => String(x).padStart(2, '0')).join(':');
+  }
+
+  const snapshot = m => { if (!m || m.error) return; if (m.rows) { key = m.key; seq = m.seq; rows = m.rows; render(); } else (m.diffs || []).forEach(apply); };
+  function apply(d) {
+    if (d.key !== key) return;
+    if (d.prev !== seq) return socket.emit('lb:resync', { key, since: seq }, snapshot);
+    const next = new Map(rows.map(r => [String(r.id), r]));
+    for (const id of d.removes) next.delete(String(id));
+    for (const r of d.upserts) next.set(String(r.id), r);
+    rows = [...next.values()];
+    seq = d.seq;
+    render();
+  }
+
+  const socket = io();
+  socket.on('connect', () => {
+    socket.emit('contest:join', S.slug);
+    socket.emit('lb:subscribe', { v: 1, view: 'contest', slug: S.slug, top: O.rows }, snapshot);
+  });
+  socket.on('lb:diff', apply);
+  const mine = fn => (data, slug, ...rest) => { if (slug === S.slug) { fn(data, ...rest); render(); tick(); } };
+  socket.on('prizes:update', mine((flat, view) => { S.ranks = view?.ranks || []; S.currency = view?.table?.currency || S.currency; }));
+  socket.on('countdown:update', mine(d => { S.end = d?.end || S.windowEnd; }));
+  socket.on('hero:update', mine(h => { S.headline = h?.headline || ''; }));
+
+  render(); tick(); setInterval(tick, 1000);
+})();
+</script>
+</body></html>
+`;
+}